@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// API keys
+//
+// Keys are kept in a JSON file, hashed: the key itself is only shown once,
+// when it's issued. Each key can carry its own limits, which override the
+// defaults for API keys (see lib/rate-limit.js).
+const KEY_PREFIX = 'ytb_';
+const LIMIT_FIELDS = ['perMinute', 'burst', 'dailyDownloads', 'dailyMegabytes'];
+
+const keys = new Map();
+let keysFile = null;
+
+const keyError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// What the admin API shows: everything but the hash
+const toPublicKey = ({ hash, ...record }) => record;
+
+const saveKeys = () => {
+    fs.mkdirSync(path.dirname(keysFile), { recursive: true });
+    const tempFile = `${keysFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify([...keys.values()], null, 2));
+    fs.renameSync(tempFile, keysFile);
+};
+
+const loadApiKeys = (file) => {
+    keysFile = file;
+    keys.clear();
+    if (fs.existsSync(file)) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).forEach(record => keys.set(record.id, record));
+    }
+    return keys.size;
+};
+
+// Read per-key limits from an admin request. Each is a positive number,
+// 0 for no limit, or left out to use the default.
+const parseKeyLimits = (limits = {}) => {
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+        throw keyError('limits must be an object');
+    }
+    return Object.entries(limits).reduce((result, [field, value]) => {
+        if (!LIMIT_FIELDS.includes(field)) {
+            throw keyError(`Unknown limit: ${field}. Use any of: ${LIMIT_FIELDS.join(', ')}`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw keyError(`limits.${field} must be a number of 0 or more`);
+        }
+        result[field] = value;
+        return result;
+    }, {});
+};
+
+// Create a key. Returns the public record plus the key itself.
+const issueApiKey = ({ name, limits } = {}) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw keyError('name is required');
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: name.trim(),
+        hash: hashKey(key),
+        limits: parseKeyLimits(limits),
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    keys.set(record.id, record);
+    saveKeys();
+    return { ...toPublicKey(record), key };
+};
+
+const listApiKeys = () => [...keys.values()].map(toPublicKey);
+
+// Revoke a key by ID. Returns the revoked key, or null if there's none.
+const revokeApiKey = (id) => {
+    const record = keys.get(id);
+    if (!record) return null;
+    if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        saveKeys();
+    }
+    return toPublicKey(record);
+};
+
+// Key record for a key sent by a client, null if it's unknown
+const findApiKey = (key) => {
+    const hash = hashKey(key);
+    for (const record of keys.values()) {
+        if (record.hash === hash) return record;
+    }
+    return null;
+};
+
+module.exports = {
+    loadApiKeys,
+    issueApiKey,
+    listApiKeys,
+    revokeApiKey,
+    findApiKey
+};
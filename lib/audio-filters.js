@@ -0,0 +1,227 @@
+// Audio post-processing for audio outputs: loudness normalization, silence
+// trimming, speed, fades, mono downmix and sample rate
+//
+// Loudness, silence and fade-out need to know the audio first, so they
+// take two passes: an analysis pass measures loudness (EBU R128), finds
+// silence and the exact length, and the encoding pass uses what it found.
+const SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000, 88200, 96000];
+
+// Podcast loudness (AES TD1004) unless asked otherwise
+const NORMALIZE_DEFAULTS = { targetLufs: -16, truePeak: -1.5, loudnessRange: 11 };
+const TRIM_SILENCE_DEFAULTS = { threshold: -50, minDuration: 0.5 };
+
+const SPEED_RANGE = [0.5, 4];
+const MAX_FADE = 60;
+
+// Silence this close to either end of the audio counts as at the end, in
+// seconds
+const EDGE_TOLERANCE = 0.05;
+
+const filterError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// A number in [min, max], or the default when left out
+const readNumber = (value, name, min, max, fallback) => {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw filterError(`${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+};
+
+// `true` for the defaults, or an object overriding some of them
+const readSubOptions = (value, name, defaults, ranges) => {
+    if (value === undefined || value === null || value === false) return null;
+    if (value === true) return { ...defaults };
+    if (!isObject(value)) {
+        throw filterError(`${name} must be true or an object`);
+    }
+    for (const key of Object.keys(value)) {
+        if (!(key in defaults)) {
+            throw filterError(`Unknown ${name} option: ${key}. Use any of: ${Object.keys(defaults).join(', ')}`);
+        }
+    }
+    return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+        const [min, max] = ranges[key];
+        return [key, readNumber(value[key], `${name}.${key}`, min, max, fallback)];
+    }));
+};
+
+const FIELDS = ['normalize', 'trimSilence', 'speed', 'fadeIn', 'fadeOut', 'mono', 'sampleRate'];
+
+// Read the `audioFilters` request field. Returns null when none were asked
+// for, throws a 400 error when the options are invalid.
+const parseAudioFilterOptions = ({ audioFilters }) => {
+    if (audioFilters === undefined || audioFilters === null || audioFilters === false) return null;
+    if (!isObject(audioFilters)) {
+        throw filterError('audioFilters must be an object like { "normalize": true, "trimSilence": true }');
+    }
+    for (const key of Object.keys(audioFilters)) {
+        if (!FIELDS.includes(key)) {
+            throw filterError(`Unknown audio filter: ${key}. Use any of: ${FIELDS.join(', ')}`);
+        }
+    }
+
+    const { mono = false, sampleRate = null } = audioFilters;
+    if (typeof mono !== 'boolean') {
+        throw filterError('audioFilters.mono must be true or false');
+    }
+    if (sampleRate !== null && !SAMPLE_RATES.includes(sampleRate)) {
+        throw filterError(`audioFilters.sampleRate must be one of ${SAMPLE_RATES.join(', ')}`);
+    }
+
+    const speed = readNumber(audioFilters.speed, 'audioFilters.speed', ...SPEED_RANGE, 1);
+    const filters = {
+        normalize: readSubOptions(audioFilters.normalize, 'audioFilters.normalize', NORMALIZE_DEFAULTS, {
+            targetLufs: [-70, -5],
+            truePeak: [-9, 0],
+            loudnessRange: [1, 50]
+        }),
+        trimSilence: readSubOptions(audioFilters.trimSilence, 'audioFilters.trimSilence', TRIM_SILENCE_DEFAULTS, {
+            threshold: [-90, -10],
+            minDuration: [0.1, 10]
+        }),
+        speed: speed === 1 ? null : speed,
+        fadeIn: readNumber(audioFilters.fadeIn, 'audioFilters.fadeIn', 0, MAX_FADE, 0) || null,
+        fadeOut: readNumber(audioFilters.fadeOut, 'audioFilters.fadeOut', 0, MAX_FADE, 0) || null,
+        mono,
+        sampleRate
+    };
+
+    const any = filters.normalize || filters.trimSilence || filters.speed || filters.fadeIn || filters.fadeOut || mono || sampleRate;
+    return any ? filters : null;
+};
+
+// Check filters against the output format. Throws a 400 error if they
+// can't be used with it.
+const checkAudioFilters = (filters, outputFormat) => {
+    if (outputFormat.kind !== 'audio') {
+        throw filterError('Audio filters are only supported for audio formats');
+    }
+    if (filters.sampleRate && outputFormat.sampleRates && !outputFormat.sampleRates.includes(filters.sampleRate)) {
+        throw filterError(`${outputFormat.id} doesn't support a sample rate of ${filters.sampleRate}. Use one of: ${outputFormat.sampleRates.join(', ')}`);
+    }
+};
+
+const needsAnalysis = (filters) => !!(filters.normalize || filters.trimSilence || filters.fadeOut);
+
+// Filters for the analysis pass. Loudness is measured after any downmix,
+// since that changes it.
+const buildAnalysisFilters = (filters) => {
+    const chain = [];
+    if (filters.mono) chain.push('aformat=channel_layouts=mono');
+    if (filters.trimSilence) {
+        const { threshold, minDuration } = filters.trimSilence;
+        chain.push(`silencedetect=noise=${threshold}dB:duration=${minDuration}`);
+    }
+    if (filters.normalize) {
+        const { targetLufs, truePeak, loudnessRange } = filters.normalize;
+        chain.push(`loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${loudnessRange}:print_format=json`);
+    }
+    // Nothing to measure for a fade-out alone, but the pass still finds
+    // the length
+    return chain.length ? chain : ['anull'];
+};
+
+// "00:01:02.50" to 62.5
+const parseTime = (time) => time.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+// Read the analysis pass's stderr: the audio's length, the silence at its
+// start and end, and the loudness measurements
+const parseAudioAnalysis = (stderr, filters) => {
+    const times = [...stderr.matchAll(/time=\s*(\d+:\d+:\d+(?:\.\d+)?)/g)];
+    const duration = times.length ? parseTime(times[times.length - 1][1]) : null;
+
+    let silence = null;
+    if (filters.trimSilence && duration) {
+        // silencedetect logs "silence_start: 12.3" and "silence_end: 14.1 | ..."
+        const periods = [];
+        for (const [, kind, value] of stderr.matchAll(/silence_(start|end):\s*(-?[\d.]+)/g)) {
+            if (kind === 'start') periods.push({ start: Math.max(0, parseFloat(value)), end: null });
+            else if (periods.length) periods[periods.length - 1].end = parseFloat(value);
+        }
+        const leading = periods.find(period => period.start <= EDGE_TOLERANCE);
+        const trailing = [...periods].reverse().find(period => period.end === null || period.end >= duration - EDGE_TOLERANCE);
+        const start = leading ? leading.end ?? duration : 0;
+        const end = trailing && trailing !== leading ? trailing.start : duration;
+        // All silence: nothing sensible to keep, so keep it all
+        silence = end > start && (start > 0 || end < duration) ? { start, end } : null;
+    }
+
+    let loudness = null;
+    if (filters.normalize) {
+        const blocks = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/g);
+        const measured = blocks && JSON.parse(blocks[blocks.length - 1]);
+        // Silent audio measures as -inf and can't be normalized
+        if (measured && Number.isFinite(parseFloat(measured.input_i))) {
+            loudness = measured;
+        }
+    }
+
+    return { duration, silence, loudness };
+};
+
+// Split a speed into atempo steps, each of which must be within 0.5-2
+const getTempoSteps = (speed) => {
+    const steps = [];
+    let remaining = speed;
+    while (remaining > 2) {
+        steps.push(2);
+        remaining /= 2;
+    }
+    steps.push(remaining);
+    return steps;
+};
+
+// Filters for the encoding pass. `analysis` is what parseAudioAnalysis
+// found, `sampleRate` the rate to end up at when no rate was asked for
+// (loudnorm works at 192 kHz, so its output always needs resampling).
+const buildAudioFilters = (filters, analysis, sampleRate) => {
+    const chain = [];
+    let duration = analysis?.duration ?? null;
+
+    if (analysis?.silence) {
+        const { start, end } = analysis.silence;
+        chain.push(`atrim=start=${start}:end=${end}`, 'asetpts=PTS-STARTPTS');
+        duration = end - start;
+    }
+    if (filters.mono) chain.push('aformat=channel_layouts=mono');
+    if (filters.speed) {
+        getTempoSteps(filters.speed).forEach(step => chain.push(`atempo=${step}`));
+        if (duration) duration /= filters.speed;
+    }
+    if (filters.normalize && analysis?.loudness) {
+        const { targetLufs, truePeak, loudnessRange } = filters.normalize;
+        const measured = analysis.loudness;
+        chain.push([
+            `loudnorm=I=${targetLufs}:TP=${truePeak}:LRA=${loudnessRange}`,
+            `measured_I=${measured.input_i}:measured_TP=${measured.input_tp}`,
+            `measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}`,
+            `offset=${measured.target_offset}:linear=true`
+        ].join(':'));
+    }
+    if (filters.fadeIn) chain.push(`afade=t=in:st=0:d=${filters.fadeIn}`);
+    if (filters.fadeOut && duration) {
+        const start = Math.max(0, duration - filters.fadeOut);
+        chain.push(`afade=t=out:st=${start.toFixed(3)}:d=${filters.fadeOut}`);
+    }
+    if (filters.sampleRate || filters.normalize) {
+        chain.push(`aresample=${filters.sampleRate || sampleRate}`);
+    }
+    return chain;
+};
+
+module.exports = {
+    SAMPLE_RATES,
+    parseAudioFilterOptions,
+    checkAudioFilters,
+    needsAnalysis,
+    buildAnalysisFilters,
+    parseAudioAnalysis,
+    buildAudioFilters
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Content-addressed output cache
+//
+// Every output is named after a hash of what went into it (video ID,
+// format, quality and transform options), so the same request maps to the
+// same file and different videos never share a name. Outputs are written
+// under a ".part" name and only renamed and indexed once complete, so the
+// cache never hands out a half-written file.
+const KEY_LENGTH = 16;
+const PART_SUFFIX = '.part';
+const MAX_TITLE_LENGTH = 80;
+
+// "<title>_<video or playlist ID>_<key>.<ext>"
+const CACHED_NAME = /^(.*)_([\w-]+)_([0-9a-f]{16})(\.[^.]+)$/;
+
+const outputs = new Map();
+const inFlight = new Map();
+let storage = null;
+let workDir = null;
+
+// Stable JSON: object keys sorted so equal options give equal keys
+const canonicalize = (value) => {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+            if (value[key] !== undefined) result[key] = canonicalize(value[key]);
+            return result;
+        }, {});
+    }
+    return value;
+};
+
+const computeCacheKey = (fields) => {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify(canonicalize(fields)))
+        .digest('hex')
+        .substring(0, KEY_LENGTH);
+};
+
+// Base name (no extension) for an output. Long titles are cut short to
+// stay within filename limits.
+const getOutputBasename = (title, videoId, key) => {
+    return `${title.substring(0, MAX_TITLE_LENGTH)}_${videoId}_${key}`;
+};
+
+// Name an output is written under while it's being produced
+const getPartBasename = (title, videoId, key) => {
+    return getOutputBasename(title, videoId, key) + PART_SUFFIX;
+};
+
+// The suffix comes right after the key, followed by the extension or a
+// temp file's own suffix. Titles can contain ".part" too, so only that spot
+// counts. Subtitle files have no key and just end in the suffix.
+const PART_NAME = /_[0-9a-f]{16}\.part(?=[._]|$)|\.part$/;
+
+const isPartFile = (filename) => PART_NAME.test(filename);
+
+// Filename to offer the user: the output name without ID and key
+const getDisplayFilename = (filename) => {
+    const match = filename.match(CACHED_NAME);
+    return match ? `${match[1]}${match[4]}` : filename;
+};
+
+// Title, source (video or playlist ID) and key in an output's name, or
+// null for names the cache didn't make
+const parseOutputName = (filename) => {
+    const match = filename.match(CACHED_NAME);
+    return match && !isPartFile(filename)
+        ? { title: match[1], sourceId: match[2], key: match[3] }
+        : null;
+};
+
+// Move a finished ".part" output from the work directory to storage under
+// its final name and index it. Returns the final filename.
+const commitOutput = async (key, partFilename, details = {}) => {
+    const filename = partFilename.replace(`${key}${PART_SUFFIX}`, key);
+    await storage.save(filename, path.join(workDir, partFilename));
+    outputs.set(key, { ...details, filename, createdAt: Date.now() });
+    return filename;
+};
+
+// Finished output for a key, or null. Entries whose file has since been
+// removed (e.g. by the cleanup) are dropped.
+const getCachedOutput = async (key) => {
+    const entry = outputs.get(key);
+    if (!entry) return null;
+
+    const stored = await storage.stat(entry.filename);
+    if (!stored) {
+        outputs.delete(key);
+        return null;
+    }
+    return { ...entry, fileSize: stored.size };
+};
+
+// What was recorded when an output was committed ({ title, url, ... }),
+// or null
+const getOutputDetails = (filename) => {
+    const parsed = parseOutputName(filename);
+    const entry = parsed && outputs.get(parsed.key);
+    return entry && entry.filename === filename ? entry : null;
+};
+
+const forgetCachedOutput = (filename) => {
+    for (const [key, entry] of outputs) {
+        if (entry.filename === filename) outputs.delete(key);
+    }
+};
+
+// Rebuild the index from the finished outputs in storage. Outputs are
+// produced in `dir` before they're committed.
+const loadOutputCache = async (outputStorage, dir) => {
+    storage = outputStorage;
+    workDir = dir;
+    outputs.clear();
+
+    (await storage.list()).forEach(({ name, lastModified }) => {
+        const match = name.match(CACHED_NAME);
+        if (!match || isPartFile(name)) return;
+        // Only the sanitized title survives in the name
+        outputs.set(match[3], { title: match[1].replace(/_+/g, ' '), filename: name, createdAt: new Date(lastModified).getTime() });
+    });
+    return outputs.size;
+};
+
+// Jobs that are producing an output right now, so identical requests can
+// share them instead of writing the same file twice
+const getInFlight = (key) => inFlight.get(key);
+
+const trackInFlight = (key, entry) => {
+    inFlight.set(key, entry);
+    entry.promise.finally(() => inFlight.delete(key));
+};
+
+module.exports = {
+    computeCacheKey,
+    getOutputBasename,
+    getPartBasename,
+    isPartFile,
+    getDisplayFilename,
+    parseOutputName,
+    commitOutput,
+    getCachedOutput,
+    getOutputDetails,
+    forgetCachedOutput,
+    loadOutputCache,
+    getInFlight,
+    trackInFlight
+};
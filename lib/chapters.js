@@ -0,0 +1,130 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { parseTimestamp } = require('./clip');
+
+// Chapter markers: reading them from the video, the description or the
+// request, and splitting an audio file along them
+const MAX_CHAPTERS = 200;
+
+const chapterError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// "0:00 Intro", "1. 02:15 - Topic", "(1:02:03) Outro" or "Intro - 0:00"
+const LEADING_TIMESTAMP = /^\s*(?:\d+[.)]\s+)?[-–•*]?\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*[-–—:|.]*\s*(.+?)\s*$/;
+const TRAILING_TIMESTAMP = /^\s*[-–•*]?\s*(.+?)\s*[-–—:|]?\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*$/;
+
+// Chapters from timestamps in a video description, the way YouTube reads
+// them: the first has to start at 0:00 and they have to go forwards.
+// Returns an empty list when the description doesn't have a usable set.
+const parseDescriptionChapters = (description) => {
+    if (!description) return [];
+
+    const chapters = [];
+    for (const line of description.split('\n')) {
+        let match = line.match(LEADING_TIMESTAMP);
+        let start;
+        let title;
+        if (match) {
+            [, start, title] = match;
+        } else if ((match = line.match(TRAILING_TIMESTAMP))) {
+            [, title, start] = match;
+        } else {
+            continue;
+        }
+        chapters.push({ start: parseTimestamp(start), title });
+    }
+
+    if (chapters.length < 2 || chapters[0].start !== 0) return [];
+    const ascending = chapters.every((chapter, i) => i === 0 || chapter.start > chapters[i - 1].start);
+    return ascending ? chapters : [];
+};
+
+// Chapters of a video: the chapter markers if it has any, otherwise
+// timestamps from the description
+const getVideoChapters = (videoDetails) => {
+    const markers = (videoDetails.chapters || []).map(chapter => ({
+        start: chapter.start_time,
+        title: chapter.title
+    }));
+    return markers.length > 0 ? markers : parseDescriptionChapters(videoDetails.description);
+};
+
+// Read client split points. Accepts timestamps ("1:30", 90) or objects
+// with a start and an optional title. Returns null when none were given.
+const parseSplitPoints = (points) => {
+    if (points === undefined || points === null) return null;
+    if (!Array.isArray(points) || points.length === 0) {
+        throw chapterError('chapters must be a non-empty array of timestamps or { start, title } objects');
+    }
+    if (points.length > MAX_CHAPTERS) {
+        throw chapterError(`At most ${MAX_CHAPTERS} chapters are supported`);
+    }
+
+    const chapters = points.map((point, index) => {
+        const { start, title } = typeof point === 'object' && point !== null ? point : { start: point };
+        const seconds = parseTimestamp(start);
+        if (Number.isNaN(seconds) || seconds < 0) {
+            throw chapterError(`Invalid chapter start at position ${index + 1}: ${start}`);
+        }
+        if (title !== undefined && typeof title !== 'string') {
+            throw chapterError(`Chapter title at position ${index + 1} must be a string`);
+        }
+        return { start: seconds, title };
+    });
+
+    chapters.forEach((chapter, i) => {
+        if (i > 0 && chapter.start <= chapters[i - 1].start) {
+            throw chapterError('Chapter start times must be in increasing order');
+        }
+    });
+    return chapters;
+};
+
+// Turn chapter starts into { index, title, start, end } ranges covering
+// the whole video. Audio before the first chapter becomes its own part.
+const buildChapterRanges = (chapters, lengthSeconds) => {
+    const length = parseInt(lengthSeconds) || 0;
+    const starts = chapters[0].start > 0 ? [{ start: 0 }, ...chapters] : chapters;
+
+    if (length > 0 && starts[starts.length - 1].start >= length) {
+        throw chapterError(`Chapter start ${starts[starts.length - 1].start}s is beyond the video length of ${length}s`);
+    }
+
+    return starts.map((chapter, i) => ({
+        index: i + 1,
+        title: chapter.title || `Part ${i + 1}`,
+        start: chapter.start,
+        end: i + 1 < starts.length ? starts[i + 1].start : length || null
+    }));
+};
+
+// Cut one chapter out of an audio file. Streams are copied, so this is
+// quick and keeps the quality of the source file.
+const extractChapter = (inputPath, outputPath, outputFormat, chapter) => {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg(inputPath)
+            .seekInput(chapter.start)
+            .noVideo()
+            .audioCodec('copy')
+            .format(outputFormat.container);
+
+        if (chapter.end !== null) {
+            command.duration(chapter.end - chapter.start);
+        }
+
+        command
+            .on('end', resolve)
+            .on('error', reject)
+            .save(outputPath);
+    });
+};
+
+module.exports = {
+    parseDescriptionChapters,
+    getVideoChapters,
+    parseSplitPoints,
+    buildChapterRanges,
+    extractChapter
+};
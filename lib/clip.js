@@ -0,0 +1,86 @@
+// Clip extraction options: parsing and validating start/end timestamps
+const CLIP_MODES = ['accurate', 'fast'];
+
+const clipError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Parse seconds (90, "90", "90.5") or a timestamp ("1:30", "01:01:30.5")
+// into seconds. Returns NaN for anything else.
+const parseTimestamp = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : NaN;
+    }
+    if (typeof value !== 'string') return NaN;
+
+    const trimmed = value.trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return parseFloat(trimmed);
+    }
+
+    const match = trimmed.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+    if (!match) return NaN;
+
+    const [, hours = '0', minutes, seconds] = match;
+    if (parseInt(minutes) >= 60 || parseFloat(seconds) >= 60) return NaN;
+    return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
+};
+
+// Read clip options from a request body. Returns null when no clip was
+// asked for, throws a 400 error when the options are invalid.
+const parseClipOptions = ({ start, end, clipMode = 'accurate' }) => {
+    const hasStart = start !== undefined && start !== null && start !== '';
+    const hasEnd = end !== undefined && end !== null && end !== '';
+    if (!hasStart && !hasEnd) return null;
+
+    const clip = { start: 0, end: null, mode: clipMode };
+
+    if (hasStart) {
+        clip.start = parseTimestamp(start);
+        if (Number.isNaN(clip.start) || clip.start < 0) {
+            throw clipError(`Invalid start time: ${start}. Use seconds or hh:mm:ss`);
+        }
+    }
+    if (hasEnd) {
+        clip.end = parseTimestamp(end);
+        if (Number.isNaN(clip.end) || clip.end < 0) {
+            throw clipError(`Invalid end time: ${end}. Use seconds or hh:mm:ss`);
+        }
+        if (clip.end <= clip.start) {
+            throw clipError('End time must be after start time');
+        }
+    }
+    if (!CLIP_MODES.includes(clipMode)) {
+        throw clipError(`Invalid clip mode: ${clipMode}. Use one of: ${CLIP_MODES.join(', ')}`);
+    }
+    return clip;
+};
+
+// Check a clip against the video length and fill in a missing end time.
+// Live streams report a length of 0, those need an explicit end.
+const resolveClipRange = (clip, lengthSeconds) => {
+    const length = parseInt(lengthSeconds) || 0;
+
+    if (length > 0) {
+        if (clip.start >= length) {
+            throw clipError(`Start time ${clip.start}s is beyond the video length of ${length}s`);
+        }
+        if (clip.end !== null && clip.end > length) {
+            throw clipError(`End time ${clip.end}s is beyond the video length of ${length}s`);
+        }
+    } else if (clip.end === null) {
+        throw clipError('An end time is required for videos without a known length');
+    }
+
+    const end = clip.end !== null ? clip.end : length;
+    return { ...clip, end, duration: end - clip.start };
+};
+
+module.exports = {
+    CLIP_MODES,
+    parseTimestamp,
+    parseClipOptions,
+    resolveClipRange
+};
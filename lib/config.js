@@ -0,0 +1,283 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LOG_LEVELS } = require('./logger');
+
+// Configuration
+//
+// Every setting has a default, can be set in an optional JSON or YAML file
+// (CONFIG_FILE) under its key, and can be set with its environment
+// variable, which wins over the file. Values are checked on load and all
+// problems are reported together, so a bad setting stops the server at
+// startup instead of failing the first request that uses it.
+//
+// Secrets are never shown by the admin config endpoint, see redactConfig.
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const DEFAULT_CORS_ORIGINS = [
+    'http://localhost:3000',
+    'https://ytdownkb.onrender.com',
+    '/\\.vercel\\.app$/',
+    '/\\.netlify\\.app$/',
+    '/\\.surge\\.sh$/'
+];
+
+// Lossy formats whose default audio bitrate can be changed
+const BITRATE_FORMATS = ['mp3', 'm4a', 'opus', 'mp4', 'webm', 'mkv'];
+
+// key: where the setting goes in the config object (and the config file)
+// type: string, integer, number, boolean, list, enum or map (name=integer)
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'integer', default: 5000, min: 1, max: 65535 },
+    { key: 'trustProxy', env: 'TRUST_PROXY', type: 'string' },
+    { key: 'logLevel', env: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info' },
+    { key: 'userAgent', env: 'USER_AGENT', type: 'string', default: DEFAULT_USER_AGENT },
+    { key: 'adminToken', env: 'ADMIN_TOKEN', type: 'string', secret: true },
+    { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'string', secret: true },
+
+    // Origins are exact matches, or regular expressions written as /.../
+    { key: 'cors.origins', env: 'CORS_ORIGINS', type: 'list', default: DEFAULT_CORS_ORIGINS },
+
+    { key: 'apiKeys.file', env: 'API_KEYS_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'api-keys.json') },
+    { key: 'apiKeys.required', env: 'API_KEYS_REQUIRED', type: 'boolean', default: false },
+
+    { key: 'rateLimits.anonymous.perMinute', env: 'RATE_LIMIT_PER_MINUTE', type: 'integer', default: 30, min: 0 },
+    { key: 'rateLimits.anonymous.burst', env: 'RATE_LIMIT_BURST', type: 'integer', default: 10, min: 0 },
+    { key: 'rateLimits.anonymous.dailyDownloads', env: 'DAILY_DOWNLOAD_LIMIT', type: 'integer', default: 50, min: 0 },
+    { key: 'rateLimits.anonymous.dailyMegabytes', env: 'DAILY_MEGABYTE_LIMIT', type: 'integer', default: 5 * 1024, min: 0 },
+    { key: 'rateLimits.apiKey.perMinute', env: 'API_KEY_RATE_LIMIT_PER_MINUTE', type: 'integer', default: 120, min: 0 },
+    { key: 'rateLimits.apiKey.burst', env: 'API_KEY_RATE_LIMIT_BURST', type: 'integer', default: 30, min: 0 },
+    { key: 'rateLimits.apiKey.dailyDownloads', env: 'API_KEY_DAILY_DOWNLOAD_LIMIT', type: 'integer', default: 500, min: 0 },
+    { key: 'rateLimits.apiKey.dailyMegabytes', env: 'API_KEY_DAILY_MEGABYTE_LIMIT', type: 'integer', default: 50 * 1024, min: 0 },
+    { key: 'rateLimits.apiKeyPerIp.perMinute', env: 'API_KEY_IP_RATE_LIMIT_PER_MINUTE', type: 'integer', default: 240, min: 0 },
+    { key: 'rateLimits.apiKeyPerIp.burst', env: 'API_KEY_IP_RATE_LIMIT_BURST', type: 'integer', default: 60, min: 0 },
+    { key: 'rateLimits.polling.perMinute', env: 'POLL_RATE_LIMIT_PER_MINUTE', type: 'integer', default: 120, min: 0 },
+    { key: 'rateLimits.polling.burst', env: 'POLL_RATE_LIMIT_BURST', type: 'integer', default: 30, min: 0 },
+
+    { key: 'downloadLinks.secret', env: 'DOWNLOAD_LINK_SECRET', type: 'string', secret: true },
+    { key: 'downloadLinks.ttl', env: 'DOWNLOAD_LINK_TTL', type: 'integer', default: 3600, min: 1 },
+    { key: 'downloadLinks.oneTime', env: 'DOWNLOAD_LINK_ONE_TIME', type: 'boolean', default: false },
+
+    { key: 'infoCache.maxEntries', env: 'INFO_CACHE_MAX_ENTRIES', type: 'integer', default: 200, min: 1 },
+    { key: 'infoCache.ttl', env: 'INFO_CACHE_TTL', type: 'integer', default: 30 * 60, min: 1 },
+
+    { key: 'storage.driver', env: 'STORAGE_DRIVER', type: 'enum', values: ['local', 's3'], default: 'local' },
+    { key: 'storage.s3.bucket', env: 'S3_BUCKET', type: 'string' },
+    { key: 'storage.s3.region', env: 'S3_REGION', type: 'string' },
+    { key: 'storage.s3.endpoint', env: 'S3_ENDPOINT', type: 'string' },
+    { key: 'storage.s3.accessKeyId', env: 'S3_ACCESS_KEY_ID', type: 'string', secret: true },
+    { key: 'storage.s3.secretAccessKey', env: 'S3_SECRET_ACCESS_KEY', type: 'string', secret: true },
+    { key: 'storage.s3.forcePathStyle', env: 'S3_FORCE_PATH_STYLE', type: 'boolean', default: false },
+    { key: 'storage.s3.prefix', env: 'S3_PREFIX', type: 'string', default: '' },
+    { key: 'storage.s3.presignTtl', env: 'S3_PRESIGN_TTL', type: 'integer', default: 3600, min: 1 },
+
+    { key: 'pools.metadataConcurrency', env: 'METADATA_CONCURRENCY', type: 'integer', default: 2, min: 1 },
+    { key: 'pools.downloadConcurrency', env: 'DOWNLOAD_CONCURRENCY', type: 'integer', default: 3, min: 1 },
+    { key: 'pools.ffmpegConcurrency', env: 'FFMPEG_CONCURRENCY', type: 'integer', default: os.cpus().length, min: 1 },
+    { key: 'pools.maxQueueDepth', env: 'MAX_QUEUE_DEPTH', type: 'integer', default: 100, min: 0 },
+
+    { key: 'extractors.names', env: 'EXTRACTORS', type: 'list', default: ['distube-ytdl-core', 'ytdl-core'] },
+    { key: 'extractors.attempts', env: 'EXTRACTOR_ATTEMPTS', type: 'integer', default: 3, min: 1 },
+    { key: 'extractors.backoffMs', env: 'EXTRACTOR_BACKOFF_MS', type: 'integer', default: 1000, min: 0 },
+    { key: 'extractors.backoffMaxMs', env: 'EXTRACTOR_BACKOFF_MAX_MS', type: 'integer', default: 10000, min: 0 },
+    { key: 'extractors.failureThreshold', env: 'EXTRACTOR_FAILURE_THRESHOLD', type: 'integer', default: 5, min: 1 },
+    { key: 'extractors.cooldownMs', env: 'EXTRACTOR_COOLDOWN_MS', type: 'integer', default: 60000, min: 0 },
+    { key: 'extractors.localMediaDir', env: 'LOCAL_MEDIA_DIR', type: 'string' },
+    { key: 'extractors.directAllowedHosts', env: 'DIRECT_ALLOWED_HOSTS', type: 'list', default: [] },
+
+    // Overrides of the formats' own defaults, in kbps, e.g. mp3=256,opus=128
+    { key: 'audio.defaultBitrates', env: 'DEFAULT_AUDIO_BITRATES', type: 'map', keys: BITRATE_FORMATS, default: {}, min: 32, max: 512 },
+
+    { key: 'cleanup.maxAgeHours', env: 'CLEANUP_MAX_AGE_HOURS', type: 'number', default: 24, min: 0.1 },
+    { key: 'cleanup.intervalMinutes', env: 'CLEANUP_INTERVAL_MINUTES', type: 'number', default: 60, min: 1 },
+    // 0 for no cap
+    { key: 'cleanup.maxTotalMb', env: 'CLEANUP_MAX_TOTAL_MB', type: 'integer', default: 0, min: 0 },
+    { key: 'cleanup.pinsFile', env: 'PINNED_OUTPUTS_FILE', type: 'string', default: path.join(__dirname, '..', 'data', 'pinned-outputs.json') },
+
+    { key: 'health.minFreeDiskMb', env: 'MIN_FREE_DISK_MB', type: 'integer', default: 1024, min: 0 }
+];
+
+const configError = (errors) => {
+    const error = new Error(`Invalid configuration:\n${errors.map(message => `- ${message}`).join('\n')}`);
+    error.configErrors = errors;
+    return error;
+};
+
+const describe = (setting) => {
+    const limits = [];
+    if (setting.min !== undefined) limits.push(`>= ${setting.min}`);
+    if (setting.max !== undefined) limits.push(`<= ${setting.max}`);
+    const range = limits.length ? ` ${limits.join(' and ')}` : '';
+    switch (setting.type) {
+        case 'integer': return `an integer${range}`;
+        case 'number': return `a number${range}`;
+        case 'boolean': return 'true or false';
+        case 'enum': return `one of ${setting.values.join(', ')}`;
+        case 'list': return 'a comma-separated list (an array in the config file)';
+        case 'map': return `name=value pairs (an object in the config file) with names from ${setting.keys.join(', ')} and integer values${range}`;
+        default: return 'a string';
+    }
+};
+
+const inRange = (setting, value) => {
+    return (setting.min === undefined || value >= setting.min) && (setting.max === undefined || value <= setting.max);
+};
+
+// Turn a raw value from the environment (always a string) or the config
+// file into the setting's type. Returns undefined if it isn't valid.
+const parseValue = (setting, raw, fromEnv) => {
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const value = fromEnv ? (raw.trim() === '' ? NaN : Number(raw)) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+            if (setting.type === 'integer' && !Number.isInteger(value)) return undefined;
+            return inRange(setting, value) ? value : undefined;
+        }
+        case 'boolean': {
+            if (fromEnv) return raw === 'true' ? true : raw === 'false' ? false : undefined;
+            return typeof raw === 'boolean' ? raw : undefined;
+        }
+        case 'enum':
+            return setting.values.includes(raw) ? raw : undefined;
+        case 'list': {
+            const items = fromEnv ? raw.split(',') : raw;
+            if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) return undefined;
+            const list = items.map(item => item.trim()).filter(Boolean);
+            return list.length > 0 ? list : undefined;
+        }
+        case 'map': {
+            const entries = fromEnv
+                ? raw.split(',').filter(pair => pair.trim()).map(pair => pair.split('=').map(part => part.trim()))
+                : raw && typeof raw === 'object' && !Array.isArray(raw) ? Object.entries(raw) : null;
+            if (!entries) return undefined;
+            const map = {};
+            for (const [name, value] of entries) {
+                const number = fromEnv ? Number(value) : value;
+                if (!setting.keys.includes(name) || !Number.isInteger(number) || !inRange(setting, number)) return undefined;
+                map[name] = number;
+            }
+            return map;
+        }
+        default:
+            // YAML reads `trustProxy: 1` as a number
+            if (!fromEnv && ['number', 'boolean'].includes(typeof raw)) return String(raw);
+            return typeof raw === 'string' ? raw : undefined;
+    }
+};
+
+const readConfigFile = (file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) {
+        return require('yaml').parse(text) || {};
+    }
+    return JSON.parse(text);
+};
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => value?.[part], object);
+
+const setPath = (object, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((current, part) => (current[part] = current[part] || {}), object);
+    parent[last] = value;
+};
+
+// Keys in the config file that aren't settings, most likely typos
+const findUnknownKeys = (object, prefix = '') => {
+    return Object.entries(object).flatMap(([name, value]) => {
+        const key = prefix + name;
+        if (SETTINGS.some(setting => setting.key === key)) return [];
+        if (value && typeof value === 'object' && !Array.isArray(value) && SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+            return findUnknownKeys(value, `${key}.`);
+        }
+        return [key];
+    });
+};
+
+// "/\.example\.com$/" is a regular expression, anything else an exact origin
+const parseOrigin = (origin) => {
+    const match = origin.match(/^\/(.+)\/([a-z]*)$/);
+    return match ? new RegExp(match[1], match[2]) : origin;
+};
+
+let current = null;
+
+// Load and check the configuration from `env` and the file named by its
+// CONFIG_FILE. Throws an error listing every problem found.
+const loadConfig = (env = process.env) => {
+    const errors = [];
+    const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+
+    let fileValues = {};
+    if (file) {
+        try {
+            fileValues = readConfigFile(file);
+            if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+                throw new Error('the file must contain an object of settings');
+            }
+            findUnknownKeys(fileValues).forEach(key => errors.push(`${file}: unknown setting "${key}"`));
+        } catch (error) {
+            errors.push(`Could not read CONFIG_FILE ${file}: ${error.message}`);
+            fileValues = {};
+        }
+    }
+
+    const config = {};
+    for (const setting of SETTINGS) {
+        let value = setting.default;
+
+        const fileValue = getPath(fileValues, setting.key);
+        if (fileValue !== undefined && fileValue !== null) {
+            value = parseValue(setting, fileValue, false);
+            if (value === undefined) {
+                errors.push(`${setting.key} in ${path.basename(file)} must be ${describe(setting)}, got ${JSON.stringify(fileValue)}`);
+            }
+        }
+
+        const envValue = env[setting.env];
+        if (envValue !== undefined && envValue !== '') {
+            value = parseValue(setting, envValue, true);
+            if (value === undefined) {
+                errors.push(`${setting.env} must be ${describe(setting)}, got "${envValue}"`);
+            }
+        }
+
+        setPath(config, setting.key, value);
+    }
+
+    if (config.storage.driver === 's3' && !config.storage.s3.bucket) {
+        errors.push('S3_BUCKET (storage.s3.bucket) is required when STORAGE_DRIVER is s3');
+    }
+    for (const origin of config.cors.origins || []) {
+        try {
+            parseOrigin(origin);
+        } catch (error) {
+            errors.push(`CORS origin ${origin} is not a valid regular expression: ${error.message}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw configError(errors);
+    }
+
+    config.file = file;
+    current = config;
+    return config;
+};
+
+// The loaded configuration, loaded from the environment on first use
+const getConfig = () => current || loadConfig();
+
+// Copy of the config with secrets replaced, for showing to admins
+const redactConfig = (config) => {
+    const copy = JSON.parse(JSON.stringify(config));
+    SETTINGS.filter(setting => setting.secret).forEach(setting => {
+        if (getPath(copy, setting.key) !== undefined) {
+            setPath(copy, setting.key, '[redacted]');
+        }
+    });
+    return copy;
+};
+
+module.exports = { SETTINGS, loadConfig, getConfig, parseOrigin, redactConfig };
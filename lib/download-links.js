@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+
+// Signed download links
+//
+// A link is only valid for the file it was made for and until it expires:
+// /downloads/<file>?expires=<unix time>&signature=<HMAC of both>. One-time
+// links also carry a random ID that is remembered once used, so the same
+// link can't download the file twice.
+//
+// The secret, TTL (seconds) and one-time default are the downloadLinks
+// settings.
+
+// Used when no secret is configured, made on first use
+let randomSecret = null;
+
+const getSecret = () => {
+    const { secret } = getConfig().downloadLinks;
+    if (secret) return secret;
+    if (!randomSecret) {
+        randomSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('DOWNLOAD_LINK_SECRET is not set: using a random secret, so download links stop working on restart and only work on this instance');
+    }
+    return randomSecret;
+};
+
+// One-time link IDs that have been used, with when their link expires
+const usedLinks = new Map();
+
+const linkError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const computeSignature = (filename, expires, once) => {
+    return crypto
+        .createHmac('sha256', getSecret())
+        .update(`${filename}\n${expires}\n${once || ''}`)
+        .digest('base64url');
+};
+
+// Relative URL for downloading a file. `oneTime` makes a link that only
+// works for one download, and defaults to DOWNLOAD_LINK_ONE_TIME.
+const signDownloadLink = (filename, { oneTime } = {}) => {
+    const { ttl, oneTime: oneTimeByDefault } = getConfig().downloadLinks;
+    oneTime = oneTime ?? oneTimeByDefault;
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const params = new URLSearchParams({ expires: String(expires) });
+    const once = oneTime ? crypto.randomBytes(12).toString('base64url') : null;
+    if (once) params.set('once', once);
+    params.set('signature', computeSignature(filename, expires, once));
+    return `/downloads/${encodeURIComponent(filename)}?${params}`;
+};
+
+// Check a link's query against the file it's for. Throws a 403 error for
+// missing or tampered signatures and a 410 error for expired or used links.
+const verifyDownloadLink = (filename, query) => {
+    const { expires, once, signature } = query;
+    if (typeof signature !== 'string' || typeof expires !== 'string') {
+        throw linkError(403, 'Download link is not signed');
+    }
+
+    const expected = Buffer.from(computeSignature(filename, expires, typeof once === 'string' ? once : null));
+    const given = Buffer.from(signature);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw linkError(403, 'Download link is invalid or has been tampered with');
+    }
+
+    if (!/^\d+$/.test(expires) || parseInt(expires) * 1000 < Date.now()) {
+        throw linkError(410, 'Download link has expired');
+    }
+    if (once && usedLinks.has(once)) {
+        throw linkError(410, 'Download link has already been used');
+    }
+};
+
+// Mark a one-time link as used. Does nothing for other links.
+const consumeDownloadLink = (query) => {
+    if (typeof query.once !== 'string') return;
+    usedLinks.set(query.once, parseInt(query.expires) * 1000);
+
+    // Used links can be forgotten once they'd have expired anyway
+    const now = Date.now();
+    for (const [id, expiresAt] of usedLinks) {
+        if (expiresAt < now) usedLinks.delete(id);
+    }
+};
+
+module.exports = {
+    signDownloadLink,
+    verifyDownloadLink,
+    consumeDownloadLink
+};
@@ -0,0 +1,202 @@
+const { logger } = require('../logger');
+
+// Ordered fallback chain of extractors
+//
+// Info is fetched from the first extractor that handles the URL; each one
+// is retried with exponential backoff before moving on to the next. Every
+// extractor has a circuit breaker: after `failureThreshold` failed fetches
+// in a row it's skipped for `cooldown` ms, then a single fetch is let
+// through to see whether it has recovered.
+//
+// Only failures of the source itself count toward a breaker: network
+// errors, 5xx, 403 and 429 responses and bot checks. Known errors about the
+// video (unavailable, private, age-restricted), and errors an extractor
+// marks with `isVideoError`, are the same from every extractor, so they're
+// thrown straight away without retrying, counting or trying the next
+// extractor. Anything else, other 4xx responses included, moves on to the
+// next extractor without counting.
+const extractorError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const TRANSPORT_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const BOT_CHECK = /not a bot|unusual traffic|captcha/i;
+const VIDEO_ERROR = /video (is )?unavailable|private video|video is private|has been removed|confirm your age|age.restricted|members.only|no video id|not a (valid|youtube)|does not match expected format|no (audio or video )?streams? found/i;
+
+// 'source' for failures that count toward the breaker, 'video' for errors
+// about the video or URL, null for anything else
+const classifyError = (error) => {
+    const status = error.statusCode ?? error.status ?? error.response?.status;
+    if (error.isVideoError || VIDEO_ERROR.test(error.message)) return 'video';
+    if (BOT_CHECK.test(error.message)) return 'source';
+    // YouTube blocks with 403 as well as 429
+    if (TRANSPORT_ERRORS.includes(error.code) || status === 403 || status === 429 || status >= 500) return 'source';
+    return null;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createBreaker = ({ failureThreshold, cooldown }) => {
+    let failures = 0;
+    let openedAt = null;
+    let probing = false;
+
+    // Fetches that succeeded and failed since startup
+    let succeeded = 0;
+    let failed = 0;
+
+    // closed: in use; open: skipped; half-open: a probe may go through
+    const getState = () => {
+        if (openedAt === null) return 'closed';
+        return Date.now() - openedAt >= cooldown ? 'half-open' : 'open';
+    };
+
+    // Whether a fetch may go through now. Half-open lets one through at a time.
+    const allow = () => {
+        const state = getState();
+        if (state === 'closed') return true;
+        if (state === 'open' || probing) return false;
+        probing = true;
+        return true;
+    };
+
+    const succeed = () => {
+        succeeded++;
+        failures = 0;
+        openedAt = null;
+        probing = false;
+    };
+
+    const fail = () => {
+        failed++;
+        failures++;
+        // A failed probe opens it again for another cooldown
+        if (probing || failures >= failureThreshold) {
+            openedAt = Date.now();
+        }
+        probing = false;
+    };
+
+    // A fetch that neither proved the extractor works nor counts against
+    // it. A probe ends without changing the state, so the next one can go.
+    const release = () => {
+        probing = false;
+    };
+
+    const getStats = () => ({
+        state: getState(),
+        failures,
+        openedAt: openedAt && new Date(openedAt).toISOString(),
+        succeeded,
+        failed
+    });
+
+    return { allow, succeed, fail, release, getStats };
+};
+
+const createExtractorChain = (extractors, {
+    attempts = 3,
+    backoff = 1000,
+    maxBackoff = 10000,
+    failureThreshold = 5,
+    cooldown = 60000
+} = {}) => {
+    const breakers = new Map(extractors.map(extractor => [
+        extractor.name,
+        createBreaker({ failureThreshold, cooldown })
+    ]));
+
+    const getExtractors = (url) => extractors.filter(extractor => extractor.canHandle(url));
+
+    const canHandle = (url) => getExtractors(url).length > 0;
+
+    // The first extractor that handles a URL decides its ID, so a URL keeps
+    // the same ID (and cache entries) whichever extractor ends up fetching it
+    const getId = (url) => {
+        const [extractor] = getExtractors(url);
+        if (!extractor) {
+            throw extractorError(400, 'Unsupported URL');
+        }
+        return extractor.getId(url);
+    };
+
+    // Delay before retry number `retry`, with jitter so clients that failed
+    // together don't retry together
+    const getBackoff = (retry) => {
+        const delay = Math.min(backoff * 2 ** (retry - 1), maxBackoff);
+        return delay / 2 + Math.random() * delay / 2;
+    };
+
+    const fetchInfo = async (extractor, url) => {
+        let lastError;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            if (attempt > 1) {
+                await sleep(getBackoff(attempt - 1));
+            }
+            try {
+                return await extractor.getInfo(url);
+            } catch (error) {
+                // Asking again won't change the answer
+                if (classifyError(error) === 'video') throw error;
+                logger.warn('Extractor attempt failed', { extractor: extractor.name, attempt, attempts, error });
+                lastError = error;
+            }
+        }
+        throw lastError;
+    };
+
+    // Info is tagged with the extractor that fetched it, so its formats are
+    // streamed by the same one
+    const getInfo = async (url) => {
+        const candidates = getExtractors(url);
+        if (candidates.length === 0) {
+            throw extractorError(400, 'Unsupported URL');
+        }
+
+        let lastError;
+        for (const extractor of candidates) {
+            const breaker = breakers.get(extractor.name);
+            if (!breaker.allow()) continue;
+
+            try {
+                const info = await fetchInfo(extractor, url);
+                breaker.succeed();
+                info.extractor = extractor.name;
+                return info;
+            } catch (error) {
+                const kind = classifyError(error);
+                if (kind === 'video') {
+                    // The extractor did its job, the video is the problem
+                    breaker.release();
+                    throw error;
+                }
+                if (kind === 'source') breaker.fail();
+                else breaker.release();
+                lastError = error;
+            }
+        }
+
+        if (!lastError) {
+            throw extractorError(503, 'Every extractor for this URL is failing, try again later');
+        }
+        throw lastError;
+    };
+
+    // Info cached before extractors were tagged came from the first one
+    const createStream = (info, format) => {
+        const extractor = extractors.find(e => e.name === info.extractor) || extractors[0];
+        return extractor.createStream(info, format);
+    };
+
+    const getStats = () => extractors.map(extractor => ({
+        name: extractor.name,
+        ...breakers.get(extractor.name).getStats()
+    }));
+
+    return { canHandle, getId, getInfo, createStream, getStats };
+};
+
+module.exports = { classifyError, createExtractorChain };
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { Transform, pipeline } = require('stream');
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+const { getConfig } = require('../config');
+
+// Direct media extractor: any http(s) URL to a media file, and file://
+// URLs for files under `mediaDir` (no local files without one). ffprobe
+// reads the streams and tags, which are turned into the same shape of
+// info the YouTube extractors return, so the rest of the pipeline can't
+// tell the difference.
+//
+// A file is offered as up to three formats, all reading the same source:
+// video and audio together, video only and audio only. The selection code
+// looks for each of those; ffmpeg maps out the stream it needs.
+//
+// Clients choose the URLs, so http(s) URLs must be on one of
+// `allowedHosts` (a host or its subdomains), or with no allowlist, must not
+// resolve to a private, loopback or link-local address. Redirects are
+// followed and checked here; ffprobe and ffmpeg only get the final URL and
+// may only use http(s) (HLS playlists can't point them at other protocols).
+// Problems with a URL or its media are per-URL errors (4xx, marked with
+// `isVideoError`), which don't count against the extractor's circuit
+// breaker.
+
+const HTTP_PROTOCOLS = 'http,https,tcp,tls';
+const MAX_REDIRECTS = 5;
+
+const directError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.isVideoError = true;
+    return error;
+};
+
+// Addresses clients may not make the server fetch from
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+    // IPv4 addresses written as IPv6, e.g. ::ffff:127.0.0.1
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+    return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// ffprobe codec names to the names ytdl reports (see lib/formats.js)
+const CODEC_NAMES = {
+    h264: 'avc1',
+    hevc: 'hvc1',
+    av1: 'av01',
+    aac: 'mp4a'
+};
+
+const getCodec = (stream) => stream ? CODEC_NAMES[stream.codec_name] || stream.codec_name : undefined;
+
+// ffprobe lists every name a demuxer goes by, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
+const getContainer = (formatName, extension) => {
+    const names = formatName.split(',');
+    if (names.includes('mp4')) return 'mp4';
+    if (names.includes('webm') && extension === '.webm') return 'webm';
+    if (names.includes('matroska')) return 'matroska';
+    return names[0];
+};
+
+// "30000/1001" to 29.97
+const parseFrameRate = (rate) => {
+    const [numerator, denominator] = (rate || '').split('/').map(Number);
+    return denominator ? Math.round(numerator / denominator * 100) / 100 : undefined;
+};
+
+const toKbps = (bitRate) => Math.round(parseInt(bitRate) / 1000) || undefined;
+
+// Tag names differ in case between containers (title, TITLE)
+const lowerCaseKeys = (tags = {}) => {
+    return Object.entries(tags).reduce((result, [key, value]) => {
+        result[key.toLowerCase()] = value;
+        return result;
+    }, {});
+};
+
+// fluent-ffmpeg only asks for streams and the format; chapters are
+// requested too. Their tags come back as flat "TAG:title" keys.
+const probe = (input, protocols) => {
+    return new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(input, ['-protocol_whitelist', protocols, '-show_chapters'], (error, data) => error ? reject(error) : resolve(data));
+    });
+};
+
+const createDirectExtractor = ({ mediaDir, allowedHosts = [] } = {}) => {
+    const root = mediaDir ? path.resolve(mediaDir) : null;
+
+    // Path of a file:// URL, or null if it isn't inside the media directory
+    const getLocalPath = (url) => {
+        if (!root) return null;
+        try {
+            const filepath = path.resolve(fileURLToPath(url));
+            const relative = path.relative(root, filepath);
+            return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? filepath : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const isHttpUrl = (url) => /^https?:\/\/[^/]/i.test(url);
+
+    // What ffprobe, ffmpeg and the download stream read from
+    const getInput = (url) => isHttpUrl(url) ? url : getLocalPath(url);
+
+    const isAllowedHost = (hostname) => allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+    // Throw a 403 error unless the server may fetch from the URL's host
+    const checkHost = async (url) => {
+        const { hostname } = new URL(url);
+        const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (allowedHosts.length > 0) {
+            if (!isAllowedHost(host)) {
+                throw directError(403, `Media from ${host} isn't allowed`);
+            }
+            return;
+        }
+        const addresses = await dns.promises.lookup(host, { all: true }).catch(() => {
+            throw directError(422, `Could not resolve ${host}`);
+        });
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            throw directError(403, 'URLs pointing to private or local addresses aren\'t allowed');
+        }
+    };
+
+    // Follow redirects, checking every hop, and return the final URL
+    const resolveRedirects = async (url) => {
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            await checkHost(url);
+            const response = await axios.get(url, {
+                responseType: 'stream',
+                headers: { 'User-Agent': getConfig().userAgent },
+                maxRedirects: 0,
+                validateStatus: () => true
+            }).catch(error => {
+                throw directError(422, `Could not fetch the URL: ${error.message}`);
+            });
+            response.data.destroy();
+
+            const location = response.headers.location;
+            if (response.status < 300 || response.status >= 400 || !location) {
+                if (response.status >= 400) {
+                    throw directError(422, `The URL answered with status ${response.status}`);
+                }
+                return url;
+            }
+            url = new URL(location, url).href;
+            if (!isHttpUrl(url)) {
+                throw directError(422, 'The URL redirects to something other than http(s)');
+            }
+        }
+        throw directError(422, 'The URL redirects too many times');
+    };
+
+    const canHandle = (url) => typeof url === 'string' && !!getInput(url);
+
+    // Short, filename-safe ID derived from the URL
+    const getId = (url) => crypto.createHash('sha256').update(url).digest('base64url').substring(0, 11);
+
+    const getInfo = async (url) => {
+        const input = isHttpUrl(url) ? await resolveRedirects(url) : getInput(url);
+        const data = await probe(input, isHttpUrl(input) ? HTTP_PROTOCOLS : 'file').catch(error => {
+            throw directError(422, `Could not read media from the URL: ${error.message.split('\n')[0]}`);
+        });
+        const video = data.streams.find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+        const audio = data.streams.find(s => s.codec_type === 'audio');
+        if (!video && !audio) {
+            throw directError(422, 'No audio or video streams found');
+        }
+
+        const pathname = isHttpUrl(url) ? decodeURIComponent(new URL(url).pathname) : input;
+        const extension = path.extname(pathname).toLowerCase();
+        const tags = lowerCaseKeys(data.format.tags);
+        const size = parseInt(data.format.size);
+
+        const source = {
+            url: input,
+            container: getContainer(data.format.format_name || '', extension),
+            contentLength: size > 0 ? String(size) : undefined
+        };
+        const videoFields = video ? {
+            width: video.width,
+            height: video.height,
+            fps: parseFrameRate(video.avg_frame_rate || video.r_frame_rate),
+            videoCodec: getCodec(video)
+        } : {};
+        const audioFields = audio ? {
+            audioBitrate: toKbps(audio.bit_rate) || toKbps(data.format.bit_rate),
+            audioSampleRate: audio.sample_rate,
+            audioChannels: audio.channels,
+            audioCodec: getCodec(audio)
+        } : {};
+
+        const formats = [];
+        if (video && audio) {
+            formats.push({ itag: 'direct', hasVideo: true, hasAudio: true, ...source, ...videoFields, ...audioFields });
+        }
+        if (video) {
+            formats.push({ itag: 'direct-video', hasVideo: true, hasAudio: false, ...source, ...videoFields });
+        }
+        if (audio) {
+            formats.push({ itag: 'direct-audio', hasVideo: false, hasAudio: true, ...source, ...audioFields });
+        }
+
+        return {
+            videoDetails: {
+                videoId: getId(url),
+                title: tags.title || path.basename(pathname, extension) || 'Untitled',
+                author: { name: tags.artist || tags.album_artist || (isHttpUrl(url) ? new URL(url).hostname : 'Unknown') },
+                lengthSeconds: String(Math.round(parseFloat(data.format.duration) || 0)),
+                description: tags.description || tags.comment || '',
+                publishDate: tags.date,
+                video_url: url,
+                thumbnails: [],
+                chapters: (data.chapters || []).map((chapter, index) => ({
+                    start_time: parseFloat(chapter.start_time),
+                    title: lowerCaseKeys(chapter)['tag:title'] || `Chapter ${index + 1}`
+                }))
+            },
+            formats
+        };
+    };
+
+    // Stream a source, with the same 'progress' events as ytdl streams
+    const createStream = (info, format) => {
+        const total = parseInt(format.contentLength) || 0;
+        let downloaded = 0;
+        const output = new Transform({
+            transform(chunk, encoding, callback) {
+                downloaded += chunk.length;
+                this.emit('progress', chunk.length, downloaded, total);
+                callback(null, chunk);
+            }
+        });
+        const done = (error) => {
+            if (error) output.destroy(error);
+        };
+
+        if (!isHttpUrl(format.url)) {
+            pipeline(fs.createReadStream(format.url), output, done);
+            return output;
+        }
+
+        // The host may resolve differently by now, so it's checked again.
+        // Redirects were followed when the info was fetched.
+        const controller = new AbortController();
+        output.on('close', () => controller.abort());
+        checkHost(format.url)
+            .then(() => axios.get(format.url, {
+                responseType: 'stream',
+                headers: { 'User-Agent': getConfig().userAgent },
+                maxRedirects: 0,
+                signal: controller.signal
+            }))
+            .then(response => pipeline(response.data, output, done))
+            .catch(done);
+        return output;
+    };
+
+    return { name: 'direct', canHandle, getId, getInfo, createStream };
+};
+
+module.exports = { createDirectExtractor };
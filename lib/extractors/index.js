@@ -0,0 +1,40 @@
+const ytdl = require('@distube/ytdl-core');
+const ytdlFallback = require('ytdl-core');
+const { createYoutubeExtractor } = require('./youtube');
+const { createDirectExtractor } = require('./direct');
+const { createExtractorChain } = require('./chain');
+const { getConfig } = require('../config');
+
+// Where video info and media streams come from. Every extractor has the
+// same interface:
+// - name: used in EXTRACTORS and tagged on the info it fetches
+// - canHandle(url): whether it understands the URL
+// - getId(url): short ID for the URL, used for cache keys and file names
+// - getInfo(url): { videoDetails, formats } in ytdl's shape
+// - createStream(info, format): readable stream of a format, emitting
+//   'progress' (chunkLength, downloaded, total) as it goes
+const EXTRACTORS = {
+    'distube-ytdl-core': () => createYoutubeExtractor({ name: 'distube-ytdl-core', ytdl }),
+    'ytdl-core': () => createYoutubeExtractor({ name: 'ytdl-core', ytdl: ytdlFallback }),
+    direct: (options) => createDirectExtractor({ mediaDir: options.localMediaDir, allowedHosts: options.directAllowedHosts })
+};
+
+// `options` are the extractors settings: { names, attempts, backoffMs, ... }
+const createExtractors = (options = getConfig().extractors) => {
+    const extractors = options.names.map(name => {
+        if (!EXTRACTORS[name]) {
+            throw new Error(`Unknown extractor: ${name}. Use ${Object.keys(EXTRACTORS).join(', ')}`);
+        }
+        return EXTRACTORS[name](options);
+    });
+
+    return createExtractorChain(extractors, {
+        attempts: options.attempts,
+        backoff: options.backoffMs,
+        maxBackoff: options.backoffMaxMs,
+        failureThreshold: options.failureThreshold,
+        cooldown: options.cooldownMs
+    });
+};
+
+module.exports = { createExtractors };
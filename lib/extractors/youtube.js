@@ -0,0 +1,32 @@
+// YouTube extractors, one per ytdl library. Both share the same API, so
+// the only difference is which library does the work.
+const { getConfig } = require('../config');
+
+// Sent when fetching the watch page, so it looks like a browser visit
+const getBrowserHeaders = () => ({
+    'User-Agent': getConfig().userAgent,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'DNT': '1',
+    'Upgrade-Insecure-Requests': '1',
+    'Sec-Fetch-Dest': 'document',
+    'Sec-Fetch-Mode': 'navigate',
+    'Sec-Fetch-Site': 'none',
+    'Referer': 'https://www.youtube.com/'
+});
+
+const createYoutubeExtractor = ({ name, ytdl }) => ({
+    name,
+    canHandle: (url) => ytdl.validateURL(url),
+    getId: (url) => ytdl.getURLVideoID(url),
+    getInfo: (url) => ytdl.getInfo(url, {
+        lang: 'en',
+        requestOptions: { headers: getBrowserHeaders() }
+    }),
+    createStream: (info, format) => ytdl.downloadFromInfo(info, {
+        format,
+        requestOptions: { headers: { 'User-Agent': getConfig().userAgent } }
+    })
+});
+
+module.exports = { createYoutubeExtractor };
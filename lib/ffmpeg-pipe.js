@@ -0,0 +1,40 @@
+const { spawn } = require('child_process');
+const { logger } = require('./logger');
+
+// ffmpeg reading from and writing to pipes, for streaming outputs without
+// touching disk. fluent-ffmpeg only takes one input stream, so merging a
+// video and an audio stream needs ffmpeg spawned directly with an extra
+// pipe per input: input N is read from file descriptor 3 + N.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Start ffmpeg with the given inputs: readable streams, or arrays of input
+// arguments (['-i', path]) for sources ffmpeg reads itself. Only streams
+// get a pipe, so input N of those is read from file descriptor 3 + N.
+// `outputArgs` go between the inputs and the output, which is written to
+// stdout. Returns the child process.
+const spawnFfmpegPipe = (inputs, outputArgs) => {
+    const streams = inputs.filter(input => !Array.isArray(input));
+    const inputArgs = inputs.flatMap(input => Array.isArray(input) ? input : ['-i', `pipe:${3 + streams.indexOf(input)}`]);
+    const args = ['-hide_banner', '-loglevel', 'error', ...inputArgs, ...outputArgs, 'pipe:1'];
+
+    const child = spawn(FFMPEG_PATH, args, {
+        stdio: ['ignore', 'pipe', 'pipe', ...streams.map(() => 'pipe')]
+    });
+    logger.debug('FFmpeg started', { command: `${FFMPEG_PATH} ${args.join(' ')}` });
+
+    // Keep the end of stderr for error messages
+    child.stderrTail = '';
+    child.stderr.on('data', (chunk) => {
+        child.stderrTail = (child.stderrTail + chunk).slice(-2000);
+    });
+
+    streams.forEach((input, index) => {
+        const pipe = child.stdio[3 + index];
+        // ffmpeg closing its end early (on error or kill) isn't an error here
+        pipe.on('error', () => {});
+        input.pipe(pipe);
+    });
+    return child;
+};
+
+module.exports = { spawnFfmpegPipe };
@@ -0,0 +1,208 @@
+// Output format registry
+//
+// Each entry describes one output format the server can produce:
+// - kind: 'audio' for audio-only outputs, 'video' for video with audio
+// - container: the ffmpeg muxer to write with
+// - extension / contentType: used for filenames and when serving files
+// - audioCodec / videoCodec: ffmpeg encoder used when transcoding
+// - copyAudioCodecs / copyVideoCodecs: source codecs that can be stream
+//   copied into the container ('*' accepts any codec)
+// - rule: how the main stream (audio for audio formats, video for video
+//   formats) is produced: 'remux' only copies and needs a matching source,
+//   'transcode' always re-encodes, 'remux-or-transcode' copies when the
+//   source allows it and re-encodes otherwise. The audio track of a video
+//   format is copied when it can be, and re-encoded otherwise. Downloads
+//   that ask for transcoding re-encode the video whatever the rule.
+// - defaultBitrate: audio bitrate in kbps for lossy encoders
+// - sampleRates: audio sample rates the encoder accepts, when it doesn't
+//   take them all
+// - coverArt: whether cover art can be embedded as an attached picture
+// - subtitleCodec: codec for soft subtitle tracks in video containers
+// - pipeOptions: extra ffmpeg output options needed to write the container
+//   to a pipe, which can't seek back to finish headers
+const OUTPUT_FORMATS = {
+    mp3: {
+        kind: 'audio',
+        container: 'mp3',
+        extension: '.mp3',
+        contentType: 'audio/mpeg',
+        audioCodec: 'libmp3lame',
+        copyAudioCodecs: [],
+        rule: 'transcode',
+        defaultBitrate: 192,
+        sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000],
+        coverArt: true
+    },
+    m4a: {
+        kind: 'audio',
+        container: 'ipod',
+        extension: '.m4a',
+        contentType: 'audio/mp4',
+        audioCodec: 'aac',
+        copyAudioCodecs: ['mp4a'],
+        rule: 'remux-or-transcode',
+        defaultBitrate: 192,
+        coverArt: true,
+        pipeOptions: ['-movflags', 'frag_keyframe+empty_moov+default_base_moof']
+    },
+    opus: {
+        kind: 'audio',
+        container: 'opus',
+        extension: '.opus',
+        contentType: 'audio/ogg',
+        audioCodec: 'libopus',
+        copyAudioCodecs: ['opus'],
+        rule: 'remux-or-transcode',
+        defaultBitrate: 160,
+        sampleRates: [8000, 12000, 16000, 24000, 48000]
+    },
+    flac: {
+        kind: 'audio',
+        container: 'flac',
+        extension: '.flac',
+        contentType: 'audio/flac',
+        audioCodec: 'flac',
+        copyAudioCodecs: [],
+        rule: 'transcode',
+        lossless: true,
+        coverArt: true
+    },
+    wav: {
+        kind: 'audio',
+        container: 'wav',
+        extension: '.wav',
+        contentType: 'audio/wav',
+        audioCodec: 'pcm_s16le',
+        copyAudioCodecs: [],
+        rule: 'transcode',
+        lossless: true
+    },
+    mp4: {
+        kind: 'video',
+        container: 'mp4',
+        extension: '.mp4',
+        contentType: 'video/mp4',
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        copyVideoCodecs: ['avc1', 'av01', 'vp9', 'vp09'],
+        copyAudioCodecs: ['mp4a'],
+        rule: 'remux-or-transcode',
+        defaultBitrate: 192,
+        coverArt: true,
+        subtitleCodec: 'mov_text',
+        pipeOptions: ['-movflags', 'frag_keyframe+empty_moov+default_base_moof']
+    },
+    webm: {
+        kind: 'video',
+        container: 'webm',
+        extension: '.webm',
+        contentType: 'video/webm',
+        videoCodec: 'libvpx-vp9',
+        audioCodec: 'libopus',
+        copyVideoCodecs: ['vp9', 'vp09', 'av01'],
+        copyAudioCodecs: ['opus', 'vorbis'],
+        rule: 'remux',
+        defaultBitrate: 160,
+        subtitleCodec: 'webvtt'
+    },
+    mkv: {
+        kind: 'video',
+        container: 'matroska',
+        extension: '.mkv',
+        contentType: 'video/x-matroska',
+        videoCodec: 'libx264',
+        audioCodec: 'aac',
+        copyVideoCodecs: ['*'],
+        copyAudioCodecs: ['*'],
+        rule: 'remux',
+        defaultBitrate: 192,
+        subtitleCodec: 'srt'
+    }
+};
+
+// Content types for files that aren't output formats
+const EXTRA_CONTENT_TYPES = {
+    '.zip': 'application/zip',
+    '.srt': 'application/x-subrip; charset=utf-8',
+    '.vtt': 'text/vtt; charset=utf-8'
+};
+
+const getOutputFormat = (id) => {
+    return Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, id)
+        ? { id, ...OUTPUT_FORMATS[id] }
+        : null;
+};
+
+const getContentType = (extension) => {
+    const ext = extension.toLowerCase();
+    const entry = Object.values(OUTPUT_FORMATS).find(f => f.extension === ext);
+    return entry ? entry.contentType : EXTRA_CONTENT_TYPES[ext] || 'application/octet-stream';
+};
+
+// Codec name of a source format's audio or video stream, e.g. 'avc1' for
+// 'avc1.640028' or 'mp4a' for 'mp4a.40.2'
+const getSourceCodec = (sourceFormat, kind) => {
+    const codec = kind === 'video' ? sourceFormat.videoCodec : sourceFormat.audioCodec;
+    return (codec || '').toLowerCase().split('.')[0];
+};
+
+const canCopyCodec = (codecs, codec) => {
+    return codecs.includes('*') || (!!codec && codecs.includes(codec));
+};
+
+// Whether a source format's stream can be copied into the output as-is
+const canCopyAudio = (entry, sourceFormat) => {
+    return canCopyCodec(entry.copyAudioCodecs, getSourceCodec(sourceFormat, 'audio'));
+};
+
+const canCopyVideo = (entry, sourceFormat) => {
+    return canCopyCodec(entry.copyVideoCodecs || [], getSourceCodec(sourceFormat, 'video'));
+};
+
+// Whether the main stream of a source format can be copied into the output
+const canRemux = (entry, sourceFormat) => {
+    if (entry.rule === 'transcode') return false;
+    return entry.kind === 'audio' ? canCopyAudio(entry, sourceFormat) : canCopyVideo(entry, sourceFormat);
+};
+
+// Whether the output can be made from a source format at all
+const isUsableSource = (entry, sourceFormat) => {
+    return entry.rule !== 'remux' || canRemux(entry, sourceFormat);
+};
+
+// Work out which output formats can be made from a video's formats, and
+// whether each can be made without re-encoding the main stream
+const getPossibleOutputFormats = (formats) => {
+    const audioSources = formats.filter(f => f.hasAudio && !f.hasVideo);
+    const videoSources = formats.filter(f => f.hasVideo);
+    const hasAudio = formats.some(f => f.hasAudio);
+
+    return Object.keys(OUTPUT_FORMATS)
+        .map(getOutputFormat)
+        .map(entry => {
+            const sources = entry.kind === 'audio' ? audioSources : videoSources;
+            const usable = sources.filter(f => isUsableSource(entry, f));
+            if (usable.length === 0 || !hasAudio) return null;
+            return {
+                format: entry.id,
+                kind: entry.kind,
+                extension: entry.extension,
+                contentType: entry.contentType,
+                remux: usable.some(f => canRemux(entry, f)),
+                lossless: !!entry.lossless
+            };
+        })
+        .filter(Boolean);
+};
+
+module.exports = {
+    OUTPUT_FORMATS,
+    getOutputFormat,
+    getContentType,
+    getSourceCodec,
+    canCopyAudio,
+    canCopyVideo,
+    canRemux,
+    isUsableSource,
+    getPossibleOutputFormats
+};
@@ -0,0 +1,86 @@
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+// Checks behind GET /readyz. Each returns { ok, ...details } and never
+// throws, so one broken check can't hide the others.
+
+// How long a binary check is reused. Running ffmpeg -version on every
+// probe would start a process every few seconds for something that
+// rarely changes.
+const BINARY_CHECK_TTL = 60 * 1000;
+
+const binaryChecks = new Map();
+
+// Path of ffmpeg or ffprobe as fluent-ffmpeg resolves it (FFMPEG_PATH /
+// FFPROBE_PATH, then the PATH), '' if it can't find one
+const resolveBinary = (name) => {
+    return new Promise((resolve, reject) => {
+        const command = ffmpeg();
+        const getPath = name === 'ffprobe' ? command._getFfprobePath : command._getFfmpegPath;
+        getPath.call(command, (error, binaryPath) => error ? reject(error) : resolve(binaryPath));
+    });
+};
+
+// "ffmpeg version 6.1.1-3ubuntu5 Copyright ..." to "6.1.1-3ubuntu5"
+const getVersion = (binaryPath) => {
+    return new Promise((resolve, reject) => {
+        execFile(binaryPath, ['-version'], { timeout: 5000 }, (error, stdout) => {
+            if (error) return reject(error);
+            const match = stdout.match(/version\s+(\S+)/);
+            resolve(match ? match[1] : null);
+        });
+    });
+};
+
+const runBinaryCheck = async (name) => {
+    try {
+        const binaryPath = await resolveBinary(name);
+        if (!binaryPath) {
+            return { ok: false, error: `${name} not found. Install it or set ${name.toUpperCase()}_PATH` };
+        }
+        const version = await getVersion(binaryPath);
+        return { ok: true, path: binaryPath, version };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+};
+
+const checkBinary = async (name) => {
+    const cached = binaryChecks.get(name);
+    if (cached && Date.now() - cached.checkedAt < BINARY_CHECK_TTL) {
+        return cached.result;
+    }
+    const result = await runBinaryCheck(name);
+    binaryChecks.set(name, { result, checkedAt: Date.now() });
+    return result;
+};
+
+// Free space on the file system holding `dir`
+const checkDiskSpace = async (dir, minFreeBytes) => {
+    try {
+        const stats = await fs.promises.statfs(dir);
+        const freeBytes = stats.bavail * stats.bsize;
+        return { ok: freeBytes >= minFreeBytes, freeBytes, minFreeBytes };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+};
+
+// Write and remove a small file, which also catches read-only mounts and
+// full disks that an access check wouldn't. The name is unique per call, as
+// overlapping probes would otherwise remove each other's file.
+const checkWritable = async (dir) => {
+    const probePath = path.join(dir, `.readyz-${process.pid}-${crypto.randomUUID()}`);
+    try {
+        await fs.promises.writeFile(probePath, 'ok');
+        await fs.promises.unlink(probePath);
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+};
+
+module.exports = { checkBinary, checkDiskSpace, checkWritable };
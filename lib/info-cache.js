@@ -0,0 +1,125 @@
+const { getConfig } = require('./config');
+
+// In-memory LRU cache of video info, keyed by video ID
+//
+// Entries expire after a TTL, or earlier when the signed stream URLs in the
+// info are about to expire, since downloads use those URLs directly. The
+// size and TTL (seconds) are the infoCache settings.
+
+// Stream URLs must stay valid long enough to finish a download
+const EXPIRY_MARGIN = 15 * 60 * 1000;
+
+// Map iteration order is insertion order, so the first key is the least
+// recently used one
+const entries = new Map();
+const pending = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0 };
+
+// Earliest `expire` timestamp among the format URLs, in ms
+const getStreamExpiry = (info) => {
+    const expiries = (info.formats || [])
+        .map(format => {
+            try {
+                return parseInt(new URL(format.url).searchParams.get('expire')) * 1000;
+            } catch (error) {
+                return NaN;
+            }
+        })
+        .filter(Number.isFinite);
+    return expiries.length > 0 ? Math.min(...expiries) : null;
+};
+
+const getCachedInfo = (videoId) => {
+    const entry = entries.get(videoId);
+    if (!entry) return null;
+
+    if (Date.now() >= entry.expiresAt) {
+        entries.delete(videoId);
+        return null;
+    }
+
+    // Move to the most recently used end
+    entries.delete(videoId);
+    entries.set(videoId, entry);
+    return entry.info;
+};
+
+const setCachedInfo = (videoId, info) => {
+    const { maxEntries, ttl } = getConfig().infoCache;
+    const now = Date.now();
+    const streamExpiry = getStreamExpiry(info);
+    const expiresAt = streamExpiry
+        ? Math.min(now + ttl * 1000, streamExpiry - EXPIRY_MARGIN)
+        : now + ttl * 1000;
+
+    // Stream URLs already too close to expiry aren't worth keeping
+    if (expiresAt <= now) return;
+
+    entries.delete(videoId);
+    entries.set(videoId, { info, cachedAt: now, expiresAt });
+
+    while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        stats.evictions++;
+    }
+};
+
+// Get info for a video from the cache, or load it with `loader` and cache
+// the result. Concurrent loads of the same video share one request.
+// `fresh` skips the cache lookup but still stores the new info.
+const loadVideoInfo = async (videoId, loader, { fresh = false } = {}) => {
+    if (!fresh) {
+        const cached = getCachedInfo(videoId);
+        if (cached) {
+            stats.hits++;
+            return cached;
+        }
+        if (pending.has(videoId)) {
+            stats.hits++;
+            return pending.get(videoId);
+        }
+    }
+    stats.misses++;
+
+    const promise = loader()
+        .then(info => {
+            setCachedInfo(videoId, info);
+            return info;
+        })
+        .finally(() => {
+            if (pending.get(videoId) === promise) pending.delete(videoId);
+        });
+    pending.set(videoId, promise);
+    return promise;
+};
+
+// Remove one video, returns whether it was cached
+const invalidateInfo = (videoId) => entries.delete(videoId);
+
+const clearInfoCache = () => {
+    const removed = entries.size;
+    entries.clear();
+    return removed;
+};
+
+const getInfoCacheStats = () => ({
+    ...stats,
+    size: entries.size,
+    maxEntries: getConfig().infoCache.maxEntries,
+    ttlSeconds: getConfig().infoCache.ttl,
+    entries: [...entries].map(([videoId, entry]) => ({
+        videoId,
+        title: entry.info.videoDetails?.title,
+        cachedAt: new Date(entry.cachedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString()
+    }))
+});
+
+module.exports = {
+    getCachedInfo,
+    setCachedInfo,
+    loadVideoInfo,
+    invalidateInfo,
+    clearInfoCache,
+    getInfoCacheStats
+};
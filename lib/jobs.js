@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-memory registry of download jobs. A job outlives the HTTP request that
+// created it, so clients can disconnect and poll /api/jobs/:id later.
+const JOB_STATES = ['queued', 'fetching', 'converting', 'done', 'failed', 'cancelled'];
+const TERMINAL_STATES = ['done', 'failed', 'cancelled'];
+
+// Finished jobs are kept around for as long as their output files are
+const JOB_TTL = 24 * 60 * 60 * 1000;
+
+const jobs = new Map();
+
+// Abort controllers by job ID. Cancelling a job aborts its signal, and the
+// work running for it (pools, streams, ffmpeg) listens for that.
+const controllers = new Map();
+
+// Job events are published on the job ID: phase changes, progress updates
+// and a terminal done/error event. Used by the SSE endpoint.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const emitJobEvent = (job, event, data) => {
+    jobEvents.emit(job.id, { event, data });
+};
+
+// Returns a function that removes the listener again
+const subscribeToJob = (job, listener) => {
+    jobEvents.on(job.id, listener);
+    return () => jobEvents.off(job.id, listener);
+};
+
+const createJob = (fields = {}) => {
+    const now = Date.now();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        progress: {},
+        clients: new Map(),
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+    };
+    jobs.set(job.id, job);
+    controllers.set(job.id, new AbortController());
+    return job;
+};
+
+const getJob = (id) => jobs.get(id);
+
+const updateJob = (job, fields) => {
+    Object.assign(job, fields, { updatedAt: Date.now() });
+    return job;
+};
+
+const setJobStatus = (job, status, fields = {}) => {
+    if (!JOB_STATES.includes(status)) {
+        throw new Error(`Unknown job status: ${status}`);
+    }
+    const previous = job.status;
+    updateJob(job, { ...fields, status });
+
+    if (status === 'done') {
+        emitJobEvent(job, 'done', serializeJob(job));
+    } else if (status === 'failed') {
+        emitJobEvent(job, 'error', { id: job.id, error: job.error });
+    } else if (status === 'cancelled') {
+        emitJobEvent(job, 'cancelled', { id: job.id });
+    } else if (status !== previous) {
+        emitJobEvent(job, 'phase', { id: job.id, status });
+    }
+    return job;
+};
+
+// Record progress for one part of the job (a download stream or ffmpeg)
+// and tell subscribers about it
+const updateJobProgress = (job, key, progress) => {
+    job.progress[key] = { ...job.progress[key], ...progress };
+    job.updatedAt = Date.now();
+    emitJobEvent(job, 'progress', { id: job.id, status: job.status, [key]: job.progress[key] });
+};
+
+// Record where the job is waiting for a worker ({ pool, position }, or null
+// once it has one) and tell subscribers about it
+const updateJobQueue = (job, queue) => {
+    updateJob(job, { queue });
+    emitJobEvent(job, 'queue', { id: job.id, status: job.status, queue });
+};
+
+const isTerminal = (job) => TERMINAL_STATES.includes(job.status);
+
+// Signal that's aborted when the job is cancelled
+const getJobSignal = (job) => controllers.get(job.id).signal;
+
+const isCancelled = (job) => getJobSignal(job).aborted;
+
+// Ask a running job to stop. The job moves to the cancelled state once its
+// work has stopped and cleaned up. Returns false if it had already ended.
+const cancelJob = (job) => {
+    if (isTerminal(job)) return false;
+    controllers.get(job.id).abort();
+    return true;
+};
+
+// Identical requests share one job, so a job keeps count of the requests
+// each client (`req.client.id`) has waiting on it, and is only given up on
+// once there are none left
+const addJobClient = (job, clientId) => {
+    job.clients.set(clientId, (job.clients.get(clientId) || 0) + 1);
+};
+
+const hasJobClient = (job, clientId) => job.clients.has(clientId);
+
+// Drop one of the client's requests, or all of them with `all`. Returns
+// the number of clients still waiting.
+const removeJobClient = (job, clientId, all = false) => {
+    const count = job.clients.get(clientId) || 0;
+    if (all || count <= 1) job.clients.delete(clientId);
+    else job.clients.set(clientId, count - 1);
+    return job.clients.size;
+};
+
+// Call `listener` when the job is cancelled. Returns a function that
+// removes it again.
+const onJobCancel = (job, listener) => {
+    const signal = getJobSignal(job);
+    signal.addEventListener('abort', listener, { once: true });
+    return () => signal.removeEventListener('abort', listener);
+};
+
+// Public view of a job, safe to send to clients
+const serializeJob = (job) => ({
+    id: job.id,
+    type: job.type || 'video',
+    status: job.status,
+    url: job.url,
+    format: job.format,
+    quality: job.quality,
+    title: job.title,
+    queue: job.queue || null,
+    progress: job.progress,
+    items: job.items,
+    filename: job.filename,
+    downloadUrl: job.downloadUrl,
+    fileSize: job.fileSize,
+    fileSizeFormatted: job.fileSizeFormatted,
+    message: job.message,
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString()
+});
+
+// Drop finished jobs older than the TTL, returns the number removed
+const pruneJobs = (maxAge = JOB_TTL) => {
+    const now = Date.now();
+    let removed = 0;
+    for (const [id, job] of jobs) {
+        if (isTerminal(job) && now - job.updatedAt > maxAge) {
+            jobs.delete(id);
+            controllers.delete(id);
+            removed++;
+        }
+    }
+    return removed;
+};
+
+module.exports = {
+    JOB_STATES,
+    createJob,
+    getJob,
+    updateJob,
+    setJobStatus,
+    updateJobProgress,
+    updateJobQueue,
+    subscribeToJob,
+    isTerminal,
+    getJobSignal,
+    isCancelled,
+    cancelJob,
+    addJobClient,
+    hasJobClient,
+    removeJobClient,
+    onJobCancel,
+    serializeJob,
+    pruneJobs
+};
@@ -0,0 +1,70 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging
+//
+// Every entry is one line of JSON: time, level, message, the fields of the
+// current log context (request ID, job ID) and any fields passed in. The
+// context follows async work started inside it, so entries logged by a
+// download, a merge or an ffmpeg callback carry the ID of the request that
+// started them.
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const context = new AsyncLocalStorage();
+
+// Set from the logLevel setting at startup
+let level = 'info';
+
+const getLogLevel = () => level;
+
+const setLogLevel = (newLevel) => {
+    if (!LOG_LEVELS.includes(newLevel)) {
+        const error = new Error(`Invalid log level: ${newLevel}. Use ${LOG_LEVELS.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    level = newLevel;
+};
+
+const isLevelEnabled = (entryLevel) => LOG_LEVELS.indexOf(entryLevel) <= LOG_LEVELS.indexOf(level);
+
+// Run `fn` with `fields` added to the log context of everything it does
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const getLogContext = () => context.getStore() || {};
+
+// Errors become their message and status; stacks only at debug level
+const serializeError = (error) => ({
+    message: error.message,
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    ...(error.code && { code: error.code }),
+    ...(isLevelEnabled('debug') && { stack: error.stack })
+});
+
+const serializeFields = (fields) => {
+    return Object.entries(fields).reduce((result, [key, value]) => {
+        result[key] = value instanceof Error ? serializeError(value) : value;
+        return result;
+    }, {});
+};
+
+const log = (entryLevel, message, fields = {}) => {
+    if (!isLevelEnabled(entryLevel)) return;
+    const entry = {
+        time: new Date().toISOString(),
+        level: entryLevel,
+        msg: message,
+        ...getLogContext(),
+        ...serializeFields(fields)
+    };
+    process.stdout.write(JSON.stringify(entry) + '\n');
+};
+
+const logger = {
+    error: (message, fields) => log('error', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    debug: (message, fields) => log('debug', message, fields),
+    isLevelEnabled
+};
+
+module.exports = { LOG_LEVELS, logger, getLogLevel, setLogLevel, withLogContext, getLogContext };
@@ -0,0 +1,152 @@
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+
+// Tags clients may set or override through the `metadata` request field
+const METADATA_FIELDS = ['title', 'artist', 'album', 'album_artist', 'date', 'genre', 'track', 'description', 'comment'];
+
+const metadataError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Read metadata options from a request body. Throws a 400 error when the
+// overrides aren't an object of known fields with string/number values.
+const parseMetadataOptions = ({ embedMetadata = true, coverArt = true, metadata = {} }) => {
+    if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+        throw metadataError('metadata must be an object');
+    }
+
+    const overrides = {};
+    for (const [key, value] of Object.entries(metadata)) {
+        if (!METADATA_FIELDS.includes(key)) {
+            throw metadataError(`Unknown metadata field: ${key}. Use one of: ${METADATA_FIELDS.join(', ')}`);
+        }
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            throw metadataError(`metadata.${key} must be a string or number`);
+        }
+        overrides[key] = String(value);
+    }
+
+    return {
+        embed: embedMetadata !== false,
+        coverArt: coverArt !== false,
+        overrides
+    };
+};
+
+// Build the tags for a video from its details. `defaults` fills gaps the
+// video doesn't cover (e.g. album and track for playlists), `overrides`
+// win over everything. ffmpeg maps these keys to ID3v2 frames for MP3 and
+// to iTunes atoms for MP4/M4A.
+const buildMetadataTags = (videoDetails, sourceUrl, defaults = {}, overrides = {}) => {
+    const tags = {
+        ...defaults,
+        title: videoDetails.title,
+        artist: videoDetails.author?.name,
+        date: videoDetails.publishDate ? videoDetails.publishDate.substring(0, 10) : undefined,
+        description: videoDetails.description || undefined,
+        comment: sourceUrl,
+        ...overrides
+    };
+
+    return Object.fromEntries(Object.entries(tags).filter(([, value]) => value !== undefined && value !== ''));
+};
+
+// URL of the largest thumbnail
+const getCoverUrl = (videoDetails) => {
+    const thumbnails = [...(videoDetails.thumbnails || [])]
+        .sort((a, b) => (b.width * b.height) - (a.width * a.height));
+    return thumbnails[0]?.url || null;
+};
+
+// Fetch cover art to a local file. Returns null if it can't be fetched,
+// a missing cover shouldn't fail the download.
+const downloadCoverArt = async (coverUrl, coverPath) => {
+    try {
+        const response = await axios.get(coverUrl, {
+            responseType: 'arraybuffer',
+            timeout: 15000,
+            headers: { 'User-Agent': getConfig().userAgent }
+        });
+        fs.writeFileSync(coverPath, response.data);
+        return coverPath;
+    } catch (error) {
+        logger.warn('Could not fetch cover art', { error });
+        return null;
+    }
+};
+
+// ffmpeg command that copies `filepath` with `tags` and, when there is
+// one, the `cover` image file. Options go in as separate arguments:
+// fluent-ffmpeg splits an array element with a single space in two, which
+// breaks values like "Hello World".
+const buildTagCommand = (filepath, outputFormat, tags, cover = null) => {
+    const command = ffmpeg(filepath)
+        .outputOptions('-map', '0', '-c', 'copy', '-map_metadata', '-1');
+
+    Object.entries(tags).forEach(([key, value]) => {
+        command.outputOptions('-metadata', `${key}=${value}`);
+    });
+
+    if (outputFormat.id === 'mp3') {
+        command.outputOptions('-id3v2_version', '3');
+    }
+
+    if (cover) {
+        // The cover becomes an extra picture stream after any video
+        const coverIndex = outputFormat.kind === 'video' ? 1 : 0;
+        command
+            .input(cover)
+            .outputOptions(
+                '-map', '1:v:0',
+                `-c:v:${coverIndex}`, 'mjpeg',
+                `-disposition:v:${coverIndex}`, 'attached_pic',
+                `-metadata:s:v:${coverIndex}`, 'title=Cover',
+                `-metadata:s:v:${coverIndex}`, 'comment=Cover (front)'
+            );
+    }
+
+    return command.format(outputFormat.container);
+};
+
+// Write tags (and cover art where the format supports it) into a finished
+// output. Streams are copied, so this is a quick remux into a temp file
+// that then replaces the original. Throws if ffmpeg fails, since the
+// output would otherwise be handed out untagged.
+const embedMetadata = async (filepath, outputFormat, tags, coverUrl) => {
+    const taggedPath = `${filepath}.tagged${outputFormat.extension}`;
+    const coverPath = `${filepath}.cover`;
+
+    try {
+        const cover = outputFormat.coverArt && coverUrl
+            ? await downloadCoverArt(coverUrl, coverPath)
+            : null;
+
+        await new Promise((resolve, reject) => {
+            buildTagCommand(filepath, outputFormat, tags, cover)
+                .on('end', resolve)
+                .on('error', reject)
+                .save(taggedPath);
+        });
+
+        fs.renameSync(taggedPath, filepath);
+    } catch (error) {
+        throw new Error(`Failed to embed metadata: ${error.message}`);
+    } finally {
+        if (fs.existsSync(taggedPath)) fs.unlinkSync(taggedPath);
+        if (fs.existsSync(coverPath)) fs.unlinkSync(coverPath);
+    }
+};
+
+module.exports = {
+    METADATA_FIELDS,
+    parseMetadataOptions,
+    buildMetadataTags,
+    getCoverUrl,
+    buildTagCommand,
+    embedMetadata
+};
@@ -0,0 +1,128 @@
+const { logger } = require('./logger');
+
+// Prometheus metrics
+//
+// Counters, gauges and histograms kept in memory and rendered in the
+// Prometheus text exposition format for GET /metrics. Metrics whose values
+// live elsewhere (pool sizes, disk usage) take a `collect` function that
+// sets them just before each scrape.
+const metrics = [];
+
+// Seconds, from a fast request to a long conversion
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+// Series are stored by their label values, in the order of `labelNames`
+const createMetric = (type, { name, help, labelNames = [], collect }) => {
+    const series = new Map();
+
+    const getSeries = (labels, create) => {
+        const key = JSON.stringify(labelNames.map(label => String(labels[label] ?? '')));
+        if (!series.has(key)) {
+            const labelValues = labelNames.reduce((result, label) => {
+                result[label] = labels[label] ?? '';
+                return result;
+            }, {});
+            series.set(key, { labels: labelValues, ...create() });
+        }
+        return series.get(key);
+    };
+
+    const metric = { name, help, type, labelNames, collect, series, getSeries };
+    metrics.push(metric);
+    return metric;
+};
+
+const createCounter = (options) => {
+    const metric = createMetric('counter', options);
+    return {
+        inc: (labels = {}, value = 1) => {
+            metric.getSeries(labels, () => ({ value: 0 })).value += value;
+        },
+        // For totals kept elsewhere and copied in by `collect`
+        set: (labels, value) => {
+            metric.getSeries(labels, () => ({ value: 0 })).value = value;
+        }
+    };
+};
+
+const createGauge = (options) => {
+    const metric = createMetric('gauge', options);
+    return {
+        set: (labels, value) => {
+            metric.getSeries(labels, () => ({ value: 0 })).value = value;
+        },
+        reset: () => metric.series.clear()
+    };
+};
+
+const createHistogram = ({ buckets = DEFAULT_BUCKETS, ...options }) => {
+    const metric = createMetric('histogram', options);
+    metric.buckets = buckets;
+
+    const observe = (labels, value) => {
+        const entry = metric.getSeries(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    };
+
+    // Returns a function that observes the seconds since the timer started,
+    // with any labels only known at the end added to `labels`
+    const startTimer = (labels = {}) => {
+        const startedAt = process.hrtime.bigint();
+        return (endLabels = {}) => observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    };
+
+    return { observe, startTimer };
+};
+
+const renderMetric = (metric) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    for (const { labels, ...entry } of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+            lines.push(`${metric.name}${formatLabels(labels)} ${formatValue(entry.value)}`);
+            continue;
+        }
+        metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${entry.count}`);
+    }
+    return lines.join('\n');
+};
+
+// Every metric in the text format. A failing `collect` leaves that
+// metric's previous values in place rather than failing the scrape.
+const renderMetrics = async () => {
+    for (const metric of metrics) {
+        if (!metric.collect) continue;
+        try {
+            await metric.collect();
+        } catch (error) {
+            logger.error('Failed to collect metric', { metric: metric.name, error });
+        }
+    }
+    return metrics.map(renderMetric).join('\n\n') + '\n';
+};
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { CONTENT_TYPE, createCounter, createGauge, createHistogram, renderMetrics };
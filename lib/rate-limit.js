@@ -0,0 +1,136 @@
+const { getConfig } = require('./config');
+
+// Per-client rate limits and daily quotas
+//
+// A client is an API key, or an IP address for requests without a key.
+// Every API request takes a token from the client's bucket, which holds up
+// to `burst` tokens and refills at `perMinute` tokens a minute. Requests
+// with a key also take one from a bucket for their IP address
+// (`apiKeyPerIp`), so one address can't get around the limits with many
+// keys. Job status polls and event streams use a bucket of their own
+// (`polling`) instead, so following a job doesn't use up the tokens for
+// starting downloads. Downloads
+// also count against daily quotas on the number of downloads and on
+// megabytes, which reset at midnight UTC. A limit of 0 means no limit.
+// State is in memory, so limits apply per instance.
+
+// Default limits for requests without a key and for API keys, from the
+// rateLimits settings
+const getDefaultLimits = () => getConfig().rateLimits;
+
+const buckets = new Map();
+const usage = new Map();
+
+// Limits for a client: the defaults for its kind with any per-key overrides
+const getClientLimits = (apiKey) => {
+    return apiKey
+        ? { ...getDefaultLimits().apiKey, ...apiKey.limits }
+        : { ...getDefaultLimits().anonymous };
+};
+
+// Buckets a request takes a token from, as [bucket ID, limits] pairs with
+// the client's own bucket first
+const getRequestBuckets = (client, ip, polling) => {
+    const { apiKeyPerIp, polling: pollLimits } = getDefaultLimits();
+    if (polling) return [[`${client.id}:polls`, pollLimits]];
+    const requestBuckets = [[client.id, client.limits]];
+    if (client.apiKey) requestBuckets.push([`keyed-ip:${ip}`, apiKeyPerIp]);
+    return requestBuckets;
+};
+
+// Take one token from a client's bucket. Returns whether the request is
+// allowed, with what's left and when to retry, in seconds.
+const takeToken = (clientId, { perMinute, burst }) => {
+    if (!perMinute || !burst) {
+        return { allowed: true, limit: null };
+    }
+
+    const now = Date.now();
+    const rate = perMinute / 60000; // tokens per ms
+    const bucket = buckets.get(clientId) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * rate);
+    bucket.updatedAt = now;
+    buckets.set(clientId, bucket);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    return {
+        allowed,
+        limit: burst,
+        remaining: Math.floor(bucket.tokens),
+        retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / rate / 1000),
+        resetAt: Math.ceil((now + (burst - bucket.tokens) / rate) / 1000)
+    };
+};
+
+const today = () => new Date().toISOString().substring(0, 10);
+
+// Unix time of the next midnight UTC, when quotas reset
+const nextQuotaReset = () => {
+    const reset = new Date();
+    reset.setUTCHours(24, 0, 0, 0);
+    return Math.floor(reset.getTime() / 1000);
+};
+
+// Today's usage for a client
+const getUsage = (clientId) => {
+    let entry = usage.get(clientId);
+    if (!entry || entry.day !== today()) {
+        entry = { day: today(), downloads: 0, bytes: 0 };
+        usage.set(clientId, entry);
+    }
+    return entry;
+};
+
+// Check the daily quotas before a download. Returns the quota that's used
+// up, if any, with its limit and when it resets.
+const checkQuota = (clientId, { dailyDownloads, dailyMegabytes }) => {
+    const { downloads, bytes } = getUsage(clientId);
+    const resetAt = nextQuotaReset();
+
+    if (dailyDownloads && downloads >= dailyDownloads) {
+        return { allowed: false, quota: 'downloads', limit: dailyDownloads, resetAt };
+    }
+    if (dailyMegabytes && bytes >= dailyMegabytes * 1024 * 1024) {
+        return { allowed: false, quota: 'megabytes', limit: dailyMegabytes, resetAt };
+    }
+    return {
+        allowed: true,
+        limit: dailyDownloads || null,
+        remaining: dailyDownloads ? dailyDownloads - downloads : null,
+        resetAt
+    };
+};
+
+const recordDownload = (clientId) => {
+    getUsage(clientId).downloads++;
+};
+
+const recordBytes = (clientId, bytes) => {
+    if (bytes > 0) getUsage(clientId).bytes += bytes;
+};
+
+// Forget full buckets and usage from previous days
+const pruneRateLimits = () => {
+    const now = Date.now();
+    for (const [clientId, bucket] of buckets) {
+        // Idle for an hour means refilled for any sane limit
+        if (now - bucket.updatedAt > 60 * 60 * 1000) buckets.delete(clientId);
+    }
+    for (const [clientId, entry] of usage) {
+        if (entry.day !== today()) usage.delete(clientId);
+    }
+};
+
+module.exports = {
+    getDefaultLimits,
+    getClientLimits,
+    getRequestBuckets,
+    takeToken,
+    getUsage,
+    checkQuota,
+    recordDownload,
+    recordBytes,
+    pruneRateLimits
+};
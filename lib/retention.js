@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { isPartFile, parseOutputName, getOutputDetails, forgetCachedOutput } = require('./cache');
+const { logger } = require('./logger');
+
+// Retention of finished outputs
+//
+// A sweep removes outputs nobody has created or downloaded for `maxAge` ms,
+// then, while storage holds more than `maxTotalBytes`, the least recently
+// used ones. Pinned outputs are never removed by a sweep, and nothing is
+// removed while it's in use: being written by a job, or served to a client.
+// Leftovers in the work directory (partial outputs, temp files) are removed
+// once they're older than `maxAge` and not in use.
+//
+// When an output was last used is kept in memory; after a restart it
+// starts out as the file's modification time. Pins are kept in a JSON file.
+const retentionError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const lastUsed = new Map();
+const inUse = new Map();
+const pins = new Set();
+let storage = null;
+let workDir = null;
+let pinsFile = null;
+let sweeping = null;
+
+const savePins = () => {
+    fs.mkdirSync(path.dirname(pinsFile), { recursive: true });
+    const tempFile = `${pinsFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify([...pins], null, 2));
+    fs.renameSync(tempFile, pinsFile);
+};
+
+// Set up retention for outputs in `outputStorage`, produced in `dir`.
+// Returns the number of pinned outputs.
+const loadRetention = (outputStorage, dir, file) => {
+    storage = outputStorage;
+    workDir = dir;
+    pinsFile = file;
+    pins.clear();
+    if (fs.existsSync(file)) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).forEach(name => pins.add(name));
+    }
+    return pins.size;
+};
+
+// Note that an output was just created or downloaded
+const recordUse = (name) => lastUsed.set(name, Date.now());
+
+const getLastUsed = (file) => lastUsed.get(file.name) || new Date(file.lastModified).getTime();
+
+// Keep every file whose name contains `fragment` (an output name, or the
+// cache key of a job, which is in the names of all its files) from being
+// removed until the returned function is called
+const holdFiles = (fragment) => {
+    inUse.set(fragment, (inUse.get(fragment) || 0) + 1);
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        const count = inUse.get(fragment) - 1;
+        if (count > 0) inUse.set(fragment, count);
+        else inUse.delete(fragment);
+    };
+};
+
+const isInUse = (name) => [...inUse.keys()].some(fragment => name.includes(fragment));
+
+const isPinned = (name) => pins.has(name);
+
+// Finished outputs in storage with their retention state, most recently
+// used first
+const listOutputs = async () => {
+    const now = Date.now();
+    const files = (await storage.list()).filter(file => !isPartFile(file.name));
+    return files
+        .map(file => {
+            const parsed = parseOutputName(file.name);
+            const details = getOutputDetails(file.name);
+            return {
+                name: file.name,
+                size: file.size,
+                createdAt: new Date(file.lastModified).toISOString(),
+                ageSeconds: Math.round((now - new Date(file.lastModified).getTime()) / 1000),
+                lastUsedAt: new Date(getLastUsed(file)).toISOString(),
+                title: details?.title || parsed?.title || null,
+                sourceId: parsed?.sourceId || null,
+                sourceUrl: details?.url || null,
+                pinned: isPinned(file.name),
+                inUse: isInUse(file.name)
+            };
+        })
+        .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+};
+
+const findOutput = async (name) => {
+    const file = isPartFile(name) ? null : await storage.stat(name);
+    if (!file) {
+        throw retentionError(404, 'Output not found');
+    }
+    return file;
+};
+
+const setPinned = async (name, pinned) => {
+    await findOutput(name);
+    if (pinned) pins.add(name);
+    else pins.delete(name);
+    savePins();
+};
+
+const removeFile = async (name) => {
+    await storage.remove(name);
+    forgetCachedOutput(name);
+    lastUsed.delete(name);
+    if (pins.delete(name)) savePins();
+};
+
+// Delete an output on request. Pinned outputs can be deleted this way,
+// ones in use can't.
+const deleteOutput = async (name) => {
+    const file = await findOutput(name);
+    if (isInUse(name)) {
+        throw retentionError(409, 'Output is being written or downloaded, try again later');
+    }
+    await removeFile(name);
+    logger.info('Deleted output', { file: name });
+    return file;
+};
+
+// Files that could be removed now: not pinned and not in use
+const isRemovable = (name) => !isPinned(name) && !isInUse(name);
+
+const runSweep = async ({ maxAge, maxTotalBytes, onRemove = () => {} }) => {
+    const now = Date.now();
+    const removed = [];
+    const remove = async (file, reason, location = 'storage') => {
+        // Checked again right before removing, a download may have started
+        if (isInUse(file.name)) return false;
+        if (location === 'storage') {
+            await removeFile(file.name);
+        } else {
+            await fs.promises.rm(path.join(workDir, file.name), { force: true });
+        }
+        removed.push({ name: file.name, size: file.size, reason, location });
+        onRemove({ location, reason });
+        logger.info('Removed file', { file: file.name, reason, location });
+        return true;
+    };
+
+    // Least recently used first
+    const files = (await storage.list())
+        .filter(file => !isPartFile(file.name))
+        .sort((a, b) => getLastUsed(a) - getLastUsed(b));
+
+    const kept = [];
+    for (const file of files) {
+        const expired = now - getLastUsed(file) > maxAge;
+        if (!(expired && isRemovable(file.name) && await remove(file, 'age'))) {
+            kept.push(file);
+        }
+    }
+
+    let totalBytes = kept.reduce((total, file) => total + file.size, 0);
+    if (maxTotalBytes > 0) {
+        for (const file of kept) {
+            if (totalBytes <= maxTotalBytes) break;
+            if (isRemovable(file.name) && await remove(file, 'size')) {
+                totalBytes -= file.size;
+            }
+        }
+        if (totalBytes > maxTotalBytes) {
+            logger.warn('Outputs are over the size cap, but the rest are pinned or in use', { totalBytes, maxTotalBytes });
+        }
+    }
+
+    // With local storage, finished outputs share the work directory and
+    // have been dealt with above
+    for (const name of await fs.promises.readdir(workDir)) {
+        if (storage.name === 'local' && !isPartFile(name)) continue;
+        const stats = await fs.promises.stat(path.join(workDir, name)).catch(() => null);
+        if (stats && stats.isFile() && now - stats.mtime.getTime() > maxAge) {
+            await remove({ name, size: stats.size }, 'age', 'work');
+        }
+    }
+
+    return { removed, totalBytes, maxTotalBytes };
+};
+
+// Apply the retention policy. A sweep that's already running is joined
+// rather than started again.
+const sweepOutputs = (options) => {
+    if (!sweeping) {
+        sweeping = runSweep(options).finally(() => {
+            sweeping = null;
+        });
+    }
+    return sweeping;
+};
+
+module.exports = {
+    loadRetention,
+    recordUse,
+    holdFiles,
+    isInUse,
+    isPinned,
+    listOutputs,
+    setPinned,
+    deleteOutput,
+    sweepOutputs
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const parseRange = require('range-parser');
+const { Readable, pipeline } = require('stream');
+
+// Serving finished outputs: byte ranges (so downloads can resume and
+// players can seek), validators with conditional requests, and HEAD.
+//
+// Outputs never change once committed, so size and mtime make a strong
+// ETag that If-Range can rely on.
+const getETag = (stats) => `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+
+// Whole seconds, since that's all HTTP dates carry
+const toHttpSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+const parseHttpDate = (value) => {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+};
+
+const matchesETag = (header, etag, weak = true) => {
+    if (header.trim() === '*') return true;
+    return header.split(',').some(candidate => {
+        const tag = candidate.trim();
+        return weak ? tag.replace(/^W\//, '') === etag : tag === etag;
+    });
+};
+
+// 412 when If-Match / If-Unmodified-Since fail
+const isPreconditionFailure = (req, etag, modified) => {
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch) return !matchesETag(ifMatch, etag, false);
+
+    const since = parseHttpDate(req.headers['if-unmodified-since']);
+    return since !== null && modified > since;
+};
+
+// 304 when the client's copy is still current
+const isNotModified = (req, etag, modified) => {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) return matchesETag(ifNoneMatch, etag);
+
+    const since = parseHttpDate(req.headers['if-modified-since']);
+    return since !== null && modified <= since;
+};
+
+// A Range is only honoured if If-Range (when sent) still matches the file
+const isRangeFresh = (req, etag, modified) => {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    if (ifRange.includes('"')) return matchesETag(ifRange, etag, false);
+    return parseHttpDate(ifRange) === modified;
+};
+
+const partHeader = (range, size, contentType, boundary) => {
+    return `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`;
+};
+
+// multipart/byteranges body: each range with its own part headers
+async function* multipartRanges(filepath, ranges, size, contentType, boundary) {
+    for (const range of ranges) {
+        yield partHeader(range, size, contentType, boundary);
+        yield* fs.createReadStream(filepath, { start: range.start, end: range.end });
+    }
+    yield `\r\n--${boundary}--\r\n`;
+}
+
+const multipartLength = (ranges, size, contentType, boundary) => {
+    return ranges.reduce(
+        (total, range) => total + Buffer.byteLength(partHeader(range, size, contentType, boundary)) + range.end - range.start + 1,
+        Buffer.byteLength(`\r\n--${boundary}--\r\n`)
+    );
+};
+
+// Content-Disposition that downloads as `filename`. Header values can't
+// hold characters outside Latin-1 (Node throws on them), so other names get
+// an ASCII fallback plus the full name in RFC 5987 form.
+const getContentDisposition = (filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    if (fallback === filename) return `attachment; filename="${filename}"`;
+    const encoded = encodeURIComponent(filename)
+        .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Send a file with range and conditional request support. Other headers
+// (Content-Disposition, CORS) should be set before calling. `done` is
+// called once a body has been sent in full, or with an error if it failed.
+const serveFile = (req, res, filepath, contentType, done = () => {}) => {
+    const stats = fs.statSync(filepath);
+    const etag = getETag(stats);
+    const modified = toHttpSeconds(stats.mtime);
+
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stats.mtime.toUTCString());
+
+    if (isPreconditionFailure(req, etag, modified)) {
+        return res.status(412).end();
+    }
+    if (isNotModified(req, etag, modified)) {
+        return res.status(304).end();
+    }
+
+    let ranges = null;
+    if (req.headers.range && isRangeFresh(req, etag, modified)) {
+        const parsed = parseRange(stats.size, req.headers.range, { combine: true });
+        if (parsed === -1) {
+            res.setHeader('Content-Range', `bytes */${stats.size}`);
+            return res.status(416).end();
+        }
+        // Malformed headers and other units are ignored, as if no Range was sent
+        if (parsed !== -2 && parsed.type === 'bytes') ranges = parsed;
+    }
+
+    let body;
+    let length;
+    if (!ranges) {
+        res.status(200);
+        res.setHeader('Content-Type', contentType);
+        length = stats.size;
+        body = () => fs.createReadStream(filepath);
+    } else if (ranges.length === 1) {
+        const [{ start, end }] = ranges;
+        res.status(206);
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${stats.size}`);
+        length = end - start + 1;
+        body = () => fs.createReadStream(filepath, { start, end });
+    } else {
+        const boundary = crypto.randomBytes(12).toString('hex');
+        res.status(206);
+        res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+        length = multipartLength(ranges, stats.size, contentType, boundary);
+        body = () => Readable.from(multipartRanges(filepath, ranges, stats.size, contentType, boundary));
+    }
+
+    res.setHeader('Content-Length', length);
+
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    let sent = 0;
+    const source = body();
+    source.on('data', (chunk) => {
+        sent += Buffer.byteLength(chunk);
+    });
+    pipeline(source, res, (error) => {
+        // The client going away mid-download isn't a server error. It may
+        // also hang up as soon as it has every byte, before the file has
+        // been read to its end, which still counts as sent in full.
+        if (error && error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+            if (sent === length) done();
+            return;
+        }
+        done(error);
+    });
+};
+
+module.exports = { serveFile, getContentDisposition };
@@ -0,0 +1,47 @@
+const { getConfig } = require('../config');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+// Where finished outputs are kept. Every driver has the same interface,
+// with names relative to the storage root:
+// - save(name, localPath): move a finished file from local disk into storage
+// - stat(name): { name, size, lastModified }, or null if it doesn't exist
+// - list(): stat of every stored file
+// - remove(name): delete a file, missing files are ignored
+// - getDownloadUrl(name, { filename }): URL a client can download it from
+//   directly, offered as `filename`; null when the server serves the file
+// - localPath(name): path on disk for drivers that keep files locally,
+//   null otherwise
+//
+// Downloads and conversions always happen in a local work directory; only
+// finished outputs go to storage.
+// Stored names are a single plain file name: no directories, no "." or
+// "..", nothing that could resolve to a path outside the storage root
+const isValidName = (name) => {
+    return typeof name === 'string' &&
+        name.length > 0 &&
+        name.length <= 255 &&
+        name !== '.' &&
+        name !== '..' &&
+        !/[/\\\0]/.test(name);
+};
+
+// `options` are the storage settings: { driver, s3: { bucket, ... } }
+const createStorage = (localDir, options = getConfig().storage) => {
+    const { driver, s3 } = options;
+
+    if (driver === 'local') {
+        return createLocalStorage({ dir: localDir });
+    }
+
+    if (driver === 's3') {
+        if (!s3.bucket) {
+            throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+        }
+        return createS3Storage(s3);
+    }
+
+    throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Use local or s3`);
+};
+
+module.exports = { createStorage, isValidName };
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage driver that keeps outputs in a directory on local disk. Files
+// are served by the server itself from /downloads.
+const createLocalStorage = ({ dir }) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const root = path.resolve(dir);
+
+    // Refuse anything that doesn't resolve to a file directly in the root
+    const resolve = (name) => {
+        const filepath = path.resolve(root, name);
+        if (path.dirname(filepath) !== root) {
+            throw new Error(`Invalid storage name: ${name}`);
+        }
+        return filepath;
+    };
+
+    const toEntry = (name, stats) => ({ name, size: stats.size, lastModified: stats.mtime });
+
+    return {
+        name: 'local',
+        description: dir,
+
+        save: async (name, localPath) => {
+            const target = resolve(name);
+            if (path.resolve(localPath) === path.resolve(target)) return;
+            try {
+                await fs.promises.rename(localPath, target);
+            } catch (error) {
+                // Renames can't cross filesystems
+                if (error.code !== 'EXDEV') throw error;
+                await fs.promises.copyFile(localPath, target);
+                await fs.promises.unlink(localPath);
+            }
+        },
+
+        stat: async (name) => {
+            try {
+                const stats = await fs.promises.stat(resolve(name));
+                return stats.isFile() ? toEntry(name, stats) : null;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        list: async () => {
+            const entries = [];
+            for (const name of await fs.promises.readdir(dir)) {
+                // Temp and probe files come and go while this runs
+                const stats = await fs.promises.stat(resolve(name)).catch(error => {
+                    if (error.code === 'ENOENT') return null;
+                    throw error;
+                });
+                if (stats && stats.isFile()) entries.push(toEntry(name, stats));
+            }
+            return entries;
+        },
+
+        remove: async (name) => {
+            await fs.promises.rm(resolve(name), { force: true });
+        },
+
+        // Served by the server itself from the local path
+        getDownloadUrl: async () => null,
+
+        localPath: resolve
+    };
+};
+
+module.exports = { createLocalStorage };
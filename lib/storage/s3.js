@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    S3Client,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand,
+    GetObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { getContentType } = require('../formats');
+const { getContentDisposition } = require('../serve-file');
+
+// Storage driver for S3 and S3-compatible object stores (MinIO, R2, ...).
+// Outputs are uploaded once finished and the local copy is removed.
+// Clients download straight from the bucket with presigned URLs, so any
+// instance can hand out any output.
+const createS3Storage = ({
+    bucket,
+    region = 'us-east-1',
+    endpoint,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = false,
+    prefix = '',
+    presignTtl = 3600
+}) => {
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+    const key = (name) => `${prefix}${name}`;
+
+    const isNotFound = (error) => error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+    return {
+        name: 's3',
+        description: `s3://${bucket}/${prefix}${endpoint ? ` at ${endpoint}` : ''}`,
+
+        // Multipart upload, so outputs over 5 GB work too
+        save: async (name, localPath) => {
+            await new Upload({
+                client,
+                params: {
+                    Bucket: bucket,
+                    Key: key(name),
+                    Body: fs.createReadStream(localPath),
+                    ContentType: getContentType(path.extname(name))
+                }
+            }).done();
+            await fs.promises.unlink(localPath);
+        },
+
+        stat: async (name) => {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key(name) }));
+                return { name, size: head.ContentLength, lastModified: head.LastModified };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        list: async () => {
+            const entries = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix || undefined,
+                    ContinuationToken
+                }));
+                (page.Contents || []).forEach(object => entries.push({
+                    name: object.Key.slice(prefix.length),
+                    size: object.Size,
+                    lastModified: object.LastModified
+                }));
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return entries;
+        },
+
+        remove: async (name) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key(name) }));
+        },
+
+        // Presigned GET that downloads the file under `filename`
+        getDownloadUrl: (name, { filename = name } = {}) => {
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: bucket,
+                Key: key(name),
+                ResponseContentDisposition: getContentDisposition(filename),
+                ResponseContentType: getContentType(path.extname(name))
+            }), { expiresIn: presignTtl });
+        },
+
+        // Nothing is kept on local disk
+        localPath: () => null
+    };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,203 @@
+const axios = require('axios');
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+
+// Caption tracks: listing, fetching, converting to SRT/WebVTT and adding
+// them to video outputs
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+const SUBTITLE_MODES = ['soft', 'burn'];
+
+const subtitleError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+// Caption tracks from the player response. Auto-generated (speech
+// recognition) tracks have kind 'asr'.
+const getCaptionTracks = (info) => {
+    const tracks = info.player_response?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    return tracks.map(track => ({
+        languageCode: track.languageCode,
+        name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+        autoGenerated: track.kind === 'asr',
+        baseUrl: track.baseUrl
+    }));
+};
+
+// Public list of caption languages, without the signed track URLs
+const listCaptionLanguages = (info) => {
+    return getCaptionTracks(info).map(({ languageCode, name, autoGenerated }) => ({
+        languageCode,
+        name,
+        autoGenerated
+    }));
+};
+
+// Find the track for a language. Uploaded captions win over auto-generated
+// ones unless `autoGenerated` is set.
+const selectCaptionTrack = (info, languageCode, autoGenerated = false) => {
+    const matches = getCaptionTracks(info).filter(track => track.languageCode === languageCode);
+    const track = matches.find(t => t.autoGenerated === autoGenerated) || matches[0];
+
+    if (!track) {
+        const available = listCaptionLanguages(info).map(t => t.languageCode);
+        throw subtitleError(available.length > 0
+            ? `No captions for language: ${languageCode}. Available: ${[...new Set(available)].join(', ')}`
+            : 'This video has no captions');
+    }
+    return track;
+};
+
+// Read subtitle options for a video download from a request body. Returns
+// null when no subtitles were asked for.
+const parseSubtitleOptions = ({ subtitles }) => {
+    if (subtitles === undefined || subtitles === null || subtitles === false) return null;
+    if (typeof subtitles !== 'object' || Array.isArray(subtitles)) {
+        throw subtitleError('subtitles must be an object like { "lang": "en", "mode": "soft" }');
+    }
+
+    const { lang, mode = 'soft', autoGenerated = false } = subtitles;
+    if (!lang || typeof lang !== 'string') {
+        throw subtitleError('subtitles.lang is required');
+    }
+    if (!SUBTITLE_MODES.includes(mode)) {
+        throw subtitleError(`Invalid subtitle mode: ${mode}. Use one of: ${SUBTITLE_MODES.join(', ')}`);
+    }
+    return { lang, mode, autoGenerated: !!autoGenerated };
+};
+
+// Fetch a track's cues in YouTube's json3 format as { start, end, text }
+// with times in milliseconds
+const fetchCaptionCues = async (track) => {
+    const separator = track.baseUrl.includes('?') ? '&' : '?';
+    const response = await axios.get(`${track.baseUrl}${separator}fmt=json3`, {
+        timeout: 15000,
+        headers: { 'User-Agent': getConfig().userAgent }
+    });
+
+    return (response.data.events || [])
+        .filter(event => event.segs)
+        .map(event => ({
+            start: event.tStartMs,
+            end: event.tStartMs + (event.dDurationMs || 0),
+            text: event.segs.map(seg => seg.utf8).join('').trim()
+        }))
+        .filter(cue => cue.text);
+};
+
+// Keep the cues that overlap a clip and move them to the clip's timeline.
+// Clip times are in seconds.
+const shiftCues = (cues, clip) => {
+    const start = clip.start * 1000;
+    const end = clip.end * 1000;
+    return cues
+        .filter(cue => cue.end > start && cue.start < end)
+        .map(cue => ({
+            ...cue,
+            start: Math.max(cue.start, start) - start,
+            end: Math.min(cue.end, end) - start
+        }));
+};
+
+const formatTimestamp = (time, separator) => {
+    const ms = Math.round(time);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms % 3600000 / 60000);
+    const seconds = Math.floor(ms % 60000 / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+};
+
+const formatSrt = (cues) => {
+    return cues
+        .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+        .join('\n');
+};
+
+const formatVtt = (cues) => {
+    return 'WEBVTT\n\n' + cues
+        .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+        .join('\n');
+};
+
+const formatCues = (cues, format) => format === 'vtt' ? formatVtt(cues) : formatSrt(cues);
+
+// Escape a path for use inside a single-quoted ffmpeg filter argument.
+// Nothing can be escaped between the quotes, so a quote closes them, adds
+// an escaped one and opens them again.
+const escapeFilterPath = (filepath) => {
+    return filepath
+        .replace(/\\/g, '/')
+        .replace(/:/g, '\\:')
+        .replace(/'/g, "'\\\\''");
+};
+
+// ffmpeg command that adds a subtitle file to `filepath`. 'soft' muxes it
+// as a selectable track, 'burn' re-encodes the video with the text drawn in.
+const buildSubtitleCommand = (filepath, outputFormat, subtitlePath, mode, track) => {
+    const command = ffmpeg(filepath);
+
+    if (mode === 'burn') {
+        command
+            .videoFilters(`subtitles='${escapeFilterPath(subtitlePath)}'`)
+            .videoCodec(outputFormat.videoCodec)
+            .audioCodec('copy');
+        if (outputFormat.videoCodec === 'libx264') {
+            command.outputOptions(['-preset', 'veryfast', '-crf', '20']);
+        }
+    } else {
+        command
+            .input(subtitlePath)
+            // Separate arguments, as fluent-ffmpeg splits array elements
+            // with one space, e.g. "Spanish (Spain)"
+            .outputOptions(
+                '-map', '0',
+                '-map', '1:0',
+                '-c', 'copy',
+                '-c:s', outputFormat.subtitleCodec,
+                '-metadata:s:s:0', `language=${track.languageCode}`,
+                '-metadata:s:s:0', `title=${track.name}`
+            );
+    }
+
+    return command.format(outputFormat.container);
+};
+
+// Add a subtitle file to a finished video output. Works on a temp file
+// that replaces the original when done.
+const addSubtitles = async (filepath, outputFormat, subtitlePath, mode, track) => {
+    const outputPath = `${filepath}.subtitled${outputFormat.extension}`;
+
+    try {
+        await new Promise((resolve, reject) => {
+            buildSubtitleCommand(filepath, outputFormat, subtitlePath, mode, track)
+                .on('start', (commandLine) => {
+                    logger.debug('FFmpeg started', { command: commandLine });
+                })
+                .on('end', resolve)
+                .on('error', reject)
+                .save(outputPath);
+        });
+
+        fs.renameSync(outputPath, filepath);
+    } finally {
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+    }
+};
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    SUBTITLE_MODES,
+    getCaptionTracks,
+    listCaptionLanguages,
+    selectCaptionTrack,
+    parseSubtitleOptions,
+    fetchCaptionCues,
+    shiftCues,
+    formatCues,
+    buildSubtitleCommand,
+    addSubtitles
+};
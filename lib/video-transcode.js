@@ -0,0 +1,231 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Video transcoding for video outputs: target codec, maximum resolution,
+// frame rate cap and rate control (CRF, bitrate or a target file size)
+//
+// Each codec lists its ffmpeg encoders in order of preference; the first
+// one the local ffmpeg build has is used. `formats` are the output formats
+// that can hold the codec.
+const VIDEO_CODECS = {
+    h264: { encoders: ['libx264'], formats: ['mp4', 'mkv'], maxCrf: 51 },
+    h265: { encoders: ['libx265'], formats: ['mp4', 'mkv'], maxCrf: 51 },
+    vp9: { encoders: ['libvpx-vp9'], formats: ['mp4', 'webm', 'mkv'], maxCrf: 63 },
+    av1: { encoders: ['libsvtav1', 'libaom-av1'], formats: ['mp4', 'webm', 'mkv'], maxCrf: 63 }
+};
+
+// Per encoder:
+// - options: speed preset and the like, tuned for a server rather than for
+//   the smallest file
+// - crf: CRF used when no rate control is asked for
+// - constantQuality: extra options for CRF mode (libvpx and libaom need
+//   the bitrate set to 0 for it)
+// - twoPass: whether it supports two-pass encoding
+const ENCODERS = {
+    libx264: { options: ['-preset', 'veryfast', '-pix_fmt', 'yuv420p'], crf: 23, twoPass: true },
+    libx265: { options: ['-preset', 'veryfast', '-pix_fmt', 'yuv420p'], crf: 28, twoPass: true },
+    'libvpx-vp9': { options: ['-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'], crf: 33, constantQuality: ['-b:v', '0'], twoPass: true },
+    libsvtav1: { options: ['-preset', '8'], crf: 35, twoPass: false },
+    'libaom-av1': { options: ['-cpu-used', '6', '-row-mt', '1'], crf: 30, constantQuality: ['-b:v', '0'], twoPass: true }
+};
+
+const RESOLUTION_RANGE = [144, 4320];
+const FPS_RANGE = [1, 120];
+const BITRATE_RANGE = [100, 100000]; // kbps
+const TARGET_SIZE_RANGE = [1, 10240]; // MB
+
+// In target size mode audio is re-encoded at this bitrate (kbps), so its
+// share of the size is known
+const TARGET_SIZE_AUDIO_BITRATE = 128;
+
+// Part of the target size left for container overhead
+const TARGET_SIZE_OVERHEAD = 0.04;
+
+// Below this the video would be unwatchable, in kbps
+const MIN_TARGET_VIDEO_BITRATE = 50;
+
+const transcodeError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+};
+
+const FIELDS = ['codec', 'maxResolution', 'maxFps', 'crf', 'bitrate', 'targetSizeMb'];
+
+const readNumber = (value, name, [min, max], integer = true) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+        throw transcodeError(`${name} must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max}`);
+    }
+    return value;
+};
+
+// Read the `transcode` request field. Returns null when no transcoding was
+// asked for, throws a 400 error when the options are invalid.
+const parseTranscodeOptions = ({ transcode }) => {
+    if (transcode === undefined || transcode === null || transcode === false) return null;
+    if (typeof transcode !== 'object' || Array.isArray(transcode)) {
+        throw transcodeError('transcode must be an object like { "codec": "h264", "maxResolution": 720 }');
+    }
+    for (const key of Object.keys(transcode)) {
+        if (!FIELDS.includes(key)) {
+            throw transcodeError(`Unknown transcode option: ${key}. Use any of: ${FIELDS.join(', ')}`);
+        }
+    }
+
+    const { codec } = transcode;
+    if (!Object.prototype.hasOwnProperty.call(VIDEO_CODECS, codec)) {
+        throw transcodeError(`transcode.codec must be one of: ${Object.keys(VIDEO_CODECS).join(', ')}`);
+    }
+
+    const options = {
+        codec,
+        maxResolution: readNumber(transcode.maxResolution, 'transcode.maxResolution', RESOLUTION_RANGE),
+        maxFps: readNumber(transcode.maxFps, 'transcode.maxFps', FPS_RANGE, false),
+        crf: readNumber(transcode.crf, 'transcode.crf', [0, VIDEO_CODECS[codec].maxCrf]),
+        bitrate: readNumber(transcode.bitrate, 'transcode.bitrate', BITRATE_RANGE),
+        targetSizeMb: readNumber(transcode.targetSizeMb, 'transcode.targetSizeMb', TARGET_SIZE_RANGE, false)
+    };
+    if ([options.crf, options.bitrate, options.targetSizeMb].filter(value => value !== null).length > 1) {
+        throw transcodeError('Use only one of transcode.crf, transcode.bitrate and transcode.targetSizeMb');
+    }
+    return options;
+};
+
+// Check transcoding against the output format. Throws a 400 error if the
+// format can't hold the codec.
+const checkTranscodeOptions = (options, outputFormat) => {
+    if (outputFormat.kind !== 'video') {
+        throw transcodeError('Transcoding is only supported for video formats');
+    }
+    const { formats } = VIDEO_CODECS[options.codec];
+    if (!formats.includes(outputFormat.id)) {
+        throw transcodeError(`${outputFormat.id} can't hold ${options.codec} video. Use one of: ${formats.join(', ')}`);
+    }
+};
+
+let encoderList = null;
+
+// Names of the encoders in the local ffmpeg build. Looked up once; a
+// failed lookup (no ffmpeg) is retried next time.
+const getAvailableEncoders = () => {
+    if (!encoderList) {
+        encoderList = new Promise((resolve, reject) => {
+            ffmpeg.getAvailableEncoders((error, encoders) => error ? reject(error) : resolve(Object.keys(encoders)));
+        });
+        encoderList.catch(() => {
+            encoderList = null;
+        });
+    }
+    return encoderList;
+};
+
+// Every codec with its encoders, which of them this ffmpeg has, the one
+// that would be used and the formats that can hold it
+const getVideoEncoders = async () => {
+    const available = await getAvailableEncoders();
+    return Object.entries(VIDEO_CODECS).map(([codec, { encoders, formats }]) => {
+        const supported = encoders.filter(encoder => available.includes(encoder));
+        return {
+            codec,
+            encoder: supported[0] || null,
+            encoders: encoders.map(encoder => ({ name: encoder, available: available.includes(encoder) })),
+            formats
+        };
+    });
+};
+
+// The encoder to use for a codec. Throws a 400 error when this ffmpeg has
+// none of them.
+const resolveEncoder = async (codec) => {
+    const available = await getAvailableEncoders();
+    const encoder = VIDEO_CODECS[codec].encoders.find(name => available.includes(name));
+    if (!encoder) {
+        throw transcodeError(`This server's ffmpeg has no ${codec} encoder (${VIDEO_CODECS[codec].encoders.join(' or ')})`);
+    }
+    return encoder;
+};
+
+// Video bitrate in kbps that makes `duration` seconds fit in the target
+// size along with the audio
+const getTargetBitrate = (targetSizeMb, duration) => {
+    if (!duration) {
+        throw transcodeError('transcode.targetSizeMb needs the video length, which isn\'t known for this video');
+    }
+    const totalKbits = targetSizeMb * 1024 * 1024 * 8 / 1000 * (1 - TARGET_SIZE_OVERHEAD);
+    const bitrate = Math.floor(totalKbits / duration - TARGET_SIZE_AUDIO_BITRATE);
+    if (bitrate < MIN_TARGET_VIDEO_BITRATE) {
+        throw transcodeError(`${targetSizeMb} MB is too small for ${Math.round(duration)} seconds of video`);
+    }
+    return bitrate;
+};
+
+// Scale down so the shorter side is at most `maxResolution`, keeping the
+// aspect ratio and even dimensions, and never scaling up. The shorter side
+// makes 720 mean 720p for portrait videos too.
+const getScaleFilter = (maxResolution) => {
+    const width = `if(gte(iw,ih),-2,min(iw,${maxResolution}))`;
+    const height = `if(gte(iw,ih),min(ih,${maxResolution}),-2)`;
+    return `scale=w='${width}':h='${height}'`;
+};
+
+// How to encode the video: the encoder, its output options and filters,
+// the number of passes, and the audio bitrate when the audio has to be
+// re-encoded at a set one. `encoder` comes from resolveEncoder, `duration`
+// is the length of what's encoded in seconds.
+const planVideoEncode = (options, encoder, outputFormat, duration) => {
+    const settings = ENCODERS[encoder];
+    const outputOptions = [...settings.options];
+    let passes = 1;
+    let audioBitrate = null;
+
+    if (options.targetSizeMb) {
+        const bitrate = getTargetBitrate(options.targetSizeMb, duration);
+        outputOptions.push('-b:v', `${bitrate}k`);
+        if (settings.twoPass) {
+            passes = 2;
+        } else {
+            // One pass can only aim for the bitrate, so cap it as well
+            outputOptions.push('-maxrate', `${bitrate}k`, '-bufsize', `${bitrate * 2}k`);
+        }
+        audioBitrate = TARGET_SIZE_AUDIO_BITRATE;
+    } else if (options.bitrate) {
+        outputOptions.push('-b:v', `${options.bitrate}k`);
+    } else {
+        outputOptions.push('-crf', String(options.crf ?? settings.crf), ...(settings.constantQuality || []));
+    }
+
+    // Apple players only take HEVC in MP4 with this tag
+    if (encoder === 'libx265' && outputFormat.id === 'mp4') {
+        outputOptions.push('-tag:v', 'hvc1');
+    }
+    if (options.maxFps) {
+        outputOptions.push('-fpsmax', String(options.maxFps));
+    }
+
+    return {
+        encoder,
+        outputOptions,
+        filters: options.maxResolution ? [getScaleFilter(options.maxResolution)] : [],
+        passes,
+        audioBitrate
+    };
+};
+
+// Options for one pass of a two-pass encode. `logPrefix` is where the
+// first pass leaves its statistics for the second.
+const getPassOptions = (encoder, pass, logPrefix) => {
+    if (encoder === 'libx265') {
+        return ['-x265-params', `pass=${pass}:stats=${logPrefix}.log`];
+    }
+    return ['-pass', String(pass), '-passlogfile', logPrefix];
+};
+
+module.exports = {
+    VIDEO_CODECS,
+    parseTranscodeOptions,
+    checkTranscodeOptions,
+    getVideoEncoders,
+    resolveEncoder,
+    planVideoEncode,
+    getPassOptions
+};
@@ -0,0 +1,113 @@
+const { AsyncResource } = require('async_hooks');
+
+// Worker pools
+//
+// A pool runs at most `concurrency` tasks at a time. Tasks that have to
+// wait are queued by priority, then in the order they came in, and are told
+// their place in the queue whenever it changes. Once `maxQueue` tasks are
+// waiting, new ones are turned away with a 503 error instead of piling up.
+// `onWait(seconds)` is told how long each task waited for its worker.
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+const poolError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// What a waiting task rejects with when it's taken out of the queue
+const cancelledError = () => {
+    const error = new Error('Cancelled while queued');
+    error.cancelled = true;
+    return error;
+};
+
+const createWorkerPool = ({ name, concurrency, maxQueue, onWait = () => {} }) => {
+    const queue = [];
+    let active = 0;
+    let rejected = 0;
+
+    // Tell queued tasks whose place has changed
+    const updatePositions = () => {
+        queue.forEach((entry, index) => {
+            if (entry.position === index + 1) return;
+            entry.position = index + 1;
+            entry.onQueued(entry.position);
+        });
+    };
+
+    const start = (entry) => {
+        active++;
+        onWait((Date.now() - entry.queuedAt) / 1000);
+        entry.onStart();
+        Promise.resolve()
+            .then(entry.task)
+            .then(entry.resolve, entry.reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    const next = () => {
+        while (active < concurrency && queue.length > 0) {
+            start(queue.shift());
+        }
+        updatePositions();
+    };
+
+    // Run a task once there's a free worker. Resolves or rejects with the
+    // task's result. `onQueued(position)` is called when the task has to
+    // wait and whenever its place changes, `onStart` when it gets a worker.
+    // Aborting `signal` takes a waiting task out of the queue.
+    const run = (task, { priority = 'normal', onQueued = () => {}, onStart = () => {}, signal } = {}) => {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                return reject(cancelledError());
+            }
+
+            // Queued tasks are started from whichever task finishes first, so
+            // bind them to the async context they were queued in (log context)
+            const entry = { task: AsyncResource.bind(task), priority: PRIORITIES[priority] ?? PRIORITIES.normal, onQueued, onStart, resolve, reject, position: null, queuedAt: Date.now() };
+
+            // The queue only has entries while every worker is busy
+            if (active < concurrency) {
+                return start(entry);
+            }
+            if (queue.length >= maxQueue) {
+                rejected++;
+                return reject(poolError(503, `Server is busy: the ${name} queue is full, try again later`));
+            }
+
+            // Behind everything of the same or higher priority
+            const index = queue.findIndex(queued => queued.priority > entry.priority);
+            queue.splice(index === -1 ? queue.length : index, 0, entry);
+            updatePositions();
+
+            signal?.addEventListener('abort', () => {
+                const position = queue.indexOf(entry);
+                if (position === -1) return;
+                queue.splice(position, 1);
+                updatePositions();
+                reject(cancelledError());
+            }, { once: true });
+        });
+    };
+
+    // Take a worker for work that isn't a single promise, like a response
+    // being streamed. Resolves with a function that gives the worker back.
+    const acquire = (options) => {
+        return new Promise((resolve, reject) => {
+            run(() => new Promise(release => resolve(release)), options).catch(reject);
+        });
+    };
+
+    // Whether a new task would be turned away
+    const isFull = () => active >= concurrency && queue.length >= maxQueue;
+
+    const getStats = () => ({ name, concurrency, active, queued: queue.length, maxQueue, rejected });
+
+    return { name, run, acquire, isFull, getStats };
+};
+
+module.exports = { PRIORITIES, createWorkerPool };
@@ -1,105 +1,589 @@
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
-const ytdl = require('@distube/ytdl-core');
-const ytdlFallback = require('ytdl-core');
+const ytpl = require('@distube/ytpl');
+const archiver = require('archiver');
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const stream = require('stream');
 const pipeline = promisify(stream.pipeline);
+const { parseClipOptions, resolveClipRange } = require('./lib/clip');
+const { OUTPUT_FORMATS, getOutputFormat, getContentType, canRemux, canCopyAudio, canCopyVideo, getPossibleOutputFormats } = require('./lib/formats');
+const { parseMetadataOptions, buildMetadataTags, getCoverUrl, embedMetadata } = require('./lib/metadata');
+const { parseAudioFilterOptions, checkAudioFilters, needsAnalysis, buildAnalysisFilters, parseAudioAnalysis, buildAudioFilters } = require('./lib/audio-filters');
+const { parseTranscodeOptions, checkTranscodeOptions, getVideoEncoders, resolveEncoder, planVideoEncode, getPassOptions } = require('./lib/video-transcode');
+const { SUBTITLE_FORMATS, listCaptionLanguages, selectCaptionTrack, parseSubtitleOptions, fetchCaptionCues, shiftCues, formatCues, addSubtitles } = require('./lib/subtitles');
+const { getVideoChapters, parseSplitPoints, buildChapterRanges, extractChapter } = require('./lib/chapters');
+const { computeCacheKey, getPartBasename, isPartFile, parseOutputName, getDisplayFilename, commitOutput, getCachedOutput, loadOutputCache, getInFlight, trackInFlight } = require('./lib/cache');
+const { loadRetention, recordUse, holdFiles, listOutputs, setPinned, deleteOutput, sweepOutputs } = require('./lib/retention');
+const { serveFile, getContentDisposition } = require('./lib/serve-file');
+const { spawnFfmpegPipe } = require('./lib/ffmpeg-pipe');
+const { createStorage, isValidName } = require('./lib/storage');
+const { signDownloadLink, verifyDownloadLink, consumeDownloadLink } = require('./lib/download-links');
+const { loadApiKeys, issueApiKey, listApiKeys, revokeApiKey, findApiKey } = require('./lib/api-keys');
+const { getDefaultLimits, getClientLimits, getRequestBuckets, takeToken, getUsage, checkQuota, recordDownload, recordBytes, pruneRateLimits } = require('./lib/rate-limit');
+const { loadVideoInfo, invalidateInfo, clearInfoCache, getInfoCacheStats } = require('./lib/info-cache');
+const { createWorkerPool } = require('./lib/worker-pool');
+const { checkBinary, checkDiskSpace, checkWritable } = require('./lib/health');
+const { LOG_LEVELS, logger, getLogLevel, setLogLevel, withLogContext } = require('./lib/logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createCounter, createGauge, createHistogram, renderMetrics } = require('./lib/metrics');
+const { createExtractors } = require('./lib/extractors');
+const { loadConfig, parseOrigin, redactConfig } = require('./lib/config');
+const { createJob, getJob, updateJob, setJobStatus, updateJobProgress, updateJobQueue, subscribeToJob, isTerminal, getJobSignal, isCancelled, cancelJob, addJobClient, hasJobClient, removeJobClient, onJobCancel, serializeJob, pruneJobs } = require('./lib/jobs');
 
 // Set environment variable to disable update check
 process.env.YTDL_NO_UPDATE = '1';
 
-// Simple rate limiting to avoid overwhelming YouTube
-const requestQueue = [];
-let isProcessing = false;
+// Settings come from CONFIG_FILE and the environment, see lib/config.js.
+// Anything invalid stops the server here with every problem listed.
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!error.configErrors) throw error;
+    logger.error('Invalid configuration', { errors: error.configErrors });
+    process.exit(1);
+}
+setLogLevel(config.logLevel);
 
-const processQueue = async () => {
-    if (isProcessing || requestQueue.length === 0) return;
-    
-    isProcessing = true;
-    
-    while (requestQueue.length > 0) {
-        const { resolve, reject, fn } = requestQueue.shift();
-        try {
-            const result = await fn();
-            resolve(result);
-        } catch (error) {
-            reject(error);
-        }
-        // Add delay between requests
-        await new Promise(r => setTimeout(r, 2000));
+// Where video info and media streams come from, in fallback order
+const extractors = createExtractors();
+
+// Metrics for GET /metrics. Values kept elsewhere (pools, extractors,
+// disk usage) are read at scrape time.
+const httpRequests = createCounter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status code',
+    labelNames: ['method', 'route', 'status']
+});
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Time from receiving a request to the end of its response, by method and route',
+    labelNames: ['method', 'route']
+});
+const downloadedBytes = createCounter({
+    name: 'downloader_source_bytes_total',
+    help: 'Bytes downloaded from video sources, by extractor',
+    labelNames: ['extractor']
+});
+const ffmpegDuration = createHistogram({
+    name: 'downloader_ffmpeg_duration_seconds',
+    help: 'ffmpeg conversion time by output format and result',
+    labelNames: ['format', 'result']
+});
+const queueWait = createHistogram({
+    name: 'downloader_queue_wait_seconds',
+    help: 'Time tasks waited for a worker, by pool',
+    labelNames: ['pool']
+});
+const queueDepth = createGauge({
+    name: 'downloader_queue_depth',
+    help: 'Tasks waiting for a worker, by pool',
+    labelNames: ['pool'],
+    collect: () => Object.values(pools).forEach(pool => queueDepth.set({ pool: pool.name }, pool.getStats().queued))
+});
+const activeWorkers = createGauge({
+    name: 'downloader_queue_active',
+    help: 'Tasks running, by pool',
+    labelNames: ['pool'],
+    collect: () => Object.values(pools).forEach(pool => activeWorkers.set({ pool: pool.name }, pool.getStats().active))
+});
+const queueRejected = createCounter({
+    name: 'downloader_queue_rejected_total',
+    help: 'Tasks turned away because the pool queue was full',
+    labelNames: ['pool'],
+    collect: () => Object.values(pools).forEach(pool => queueRejected.set({ pool: pool.name }, pool.getStats().rejected))
+});
+const extractorFetches = createCounter({
+    name: 'downloader_extractor_fetches_total',
+    help: 'Video info fetches by extractor (in fallback order) and result',
+    labelNames: ['extractor', 'result'],
+    collect: () => extractors.getStats().forEach(stats => {
+        extractorFetches.set({ extractor: stats.name, result: 'success' }, stats.succeeded);
+        extractorFetches.set({ extractor: stats.name, result: 'failure' }, stats.failed);
+    })
+});
+const BREAKER_STATES = { closed: 0, 'half-open': 1, open: 2 };
+const extractorBreaker = createGauge({
+    name: 'downloader_extractor_circuit_state',
+    help: 'Extractor circuit breaker state: 0 closed, 1 half-open, 2 open',
+    labelNames: ['extractor'],
+    collect: () => extractors.getStats().forEach(stats => extractorBreaker.set({ extractor: stats.name }, BREAKER_STATES[stats.state]))
+});
+const workDirFiles = createGauge({
+    name: 'downloader_work_dir_files',
+    help: 'Files in the downloads directory'
+});
+const workDirBytes = createGauge({
+    name: 'downloader_work_dir_bytes',
+    help: 'Disk space used by the downloads directory',
+    collect: async () => {
+        const files = await fs.promises.readdir(downloadsDir);
+        const stats = await Promise.all(files.map(file => fs.promises.stat(path.join(downloadsDir, file)).catch(() => null)));
+        const sizes = stats.filter(stat => stat && stat.isFile()).map(stat => stat.size);
+        workDirFiles.set({}, sizes.length);
+        workDirBytes.set({}, sizes.reduce((total, size) => total + size, 0));
     }
-    
-    isProcessing = false;
+});
+const cleanedUpFiles = createCounter({
+    name: 'downloader_cleanup_removed_files_total',
+    help: 'Files removed by retention sweeps, by location (storage or the work directory) and reason (age or size)',
+    labelNames: ['location', 'reason']
+});
+
+// Worker pools: metadata fetches, network downloads and ffmpeg work each
+// have their own limit, so a burst of merges can't hold up video info and
+// can't start more ffmpeg processes than the machine has cores for
+const { maxQueueDepth } = config.pools;
+const pools = {
+    metadata: createWorkerPool({
+        name: 'metadata',
+        concurrency: config.pools.metadataConcurrency,
+        maxQueue: maxQueueDepth,
+        onWait: (seconds) => queueWait.observe({ pool: 'metadata' }, seconds)
+    }),
+    download: createWorkerPool({
+        name: 'download',
+        concurrency: config.pools.downloadConcurrency,
+        maxQueue: maxQueueDepth,
+        onWait: (seconds) => queueWait.observe({ pool: 'download' }, seconds)
+    }),
+    ffmpeg: createWorkerPool({
+        name: 'ffmpeg',
+        concurrency: config.pools.ffmpegConcurrency,
+        maxQueue: maxQueueDepth,
+        onWait: (seconds) => queueWait.observe({ pool: 'ffmpeg' }, seconds)
+    })
 };
 
-const queueRequest = (fn) => {
-    return new Promise((resolve, reject) => {
-        requestQueue.push({ resolve, reject, fn });
-        processQueue();
-    });
+// Seconds clients are asked to wait after a 503 for a full queue
+const QUEUE_RETRY_AFTER = 30;
+
+const rejectBusy = (res, message = 'Server is busy, try again later') => {
+    res.setHeader('Retry-After', QUEUE_RETRY_AFTER);
+    res.status(503).json({ error: message });
 };
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
 
 // Middleware
+// Every request gets an ID, taken from X-Request-Id when a proxy has set
+// one already. It's sent back in the same header and added to everything
+// logged while handling the request, including the jobs it starts.
+// Probes and scrapes are only logged at debug level.
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    
+    const startedAt = Date.now();
+    res.on('close', () => {
+        const level = QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+        logger[level]('Request', {
+            requestId: req.id,
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            completed: res.writableFinished
+        });
+    });
+    withLogContext({ requestId: req.id }, next);
+});
+
 app.use(cors({
-    origin: ['http://localhost:3000', 'https://ytdownkb.onrender.com', /\.vercel\.app$/, /\.netlify\.app$/, /\.surge\.sh$/], // Allow multiple origins including common deployment platforms
+    origin: config.cors.origins.map(parseOrigin),
     credentials: true,
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+    exposedHeaders: ['Retry-After', 'X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
 }));
 app.use(express.json());
 
-// Serve downloads with proper headers for browser download
-app.get('/downloads/:filename', (req, res) => {
+// Count and time requests by route. Routes are the matched patterns, e.g.
+// /api/jobs/:id, so IDs don't make a series each. 'close' also covers
+// clients that went away before the response was finished.
+app.use((req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer({ method: req.method });
+    res.on('close', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        endTimer({ route });
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+});
+
+// Express 4 doesn't catch rejections from async handlers; pass them on to
+// the error handler instead of letting them take the process down
+const asyncRoute = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Serve downloads with proper headers for browser download. Supports
+// Range requests (resuming, seeking), conditional requests and HEAD.
+// With remote storage, clients are redirected to a presigned URL instead.
+// Only signed links from the API work, see lib/download-links.js.
+app.get('/downloads/:filename', asyncRoute(async (req, res) => {
     const filename = req.params.filename;
-    const filepath = path.join(downloadsDir, filename);
+    
+    // A single plain file name, nothing that could resolve outside storage
+    if (!isValidName(filename)) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    
+    try {
+        verifyDownloadLink(filename, req.query);
+    } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    
+    // HEAD requests don't use up one-time links
+    const consumeLink = () => {
+        if (req.method === 'GET') consumeDownloadLink(req.query);
+    };
+    
+    const filepath = storage.localPath(filename);
+    
+    if (!filepath) {
+        try {
+            if (!await storage.stat(filename)) {
+                return res.status(404).json({ error: 'File not found' });
+            }
+            consumeLink();
+            recordUse(filename);
+            return res.redirect(await storage.getDownloadUrl(filename, { filename: getDisplayFilename(filename) }));
+        } catch (error) {
+            logger.error('Error looking up file in storage', { filename, error });
+            return res.status(500).json({ error: 'Error downloading file' });
+        }
+    }
+    
+    // Held until the response ends, so a sweep can't remove it mid-download
+    const releaseFile = holdFiles(filename);
+    res.on('close', releaseFile);
     
     if (!fs.existsSync(filepath)) {
         return res.status(404).json({ error: 'File not found' });
     }
+    recordUse(filename);
     
     // Set headers to force download to user's default download folder
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', getContentDisposition(getDisplayFilename(filename)));
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Access-Control-Allow-Origin', '*'); // Allow all origins for file downloads
     res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag');
     
-    // Determine content type based on file extension
-    const ext = path.extname(filename).toLowerCase();
-    if (ext === '.mp3') {
-        res.setHeader('Content-Type', 'audio/mpeg');
-    } else if (ext === '.mp4') {
-        res.setHeader('Content-Type', 'video/mp4');
-    }
-    
-    // Stream the file to the user
-    const fileStream = fs.createReadStream(filepath);
-    fileStream.pipe(res);
-    
-    fileStream.on('end', () => {
-        console.log(`File served for download: ${filename}`);
-    });
-    
-    fileStream.on('error', (error) => {
-        console.error('Error streaming file:', error);
+    // Stream the file (or the requested ranges of it) to the user. A
+    // one-time link is used up by a complete download of the whole file, so
+    // until then it can be resumed and seeked with ranges.
+    serveFile(req, res, filepath, getContentType(path.extname(filename)), (error) => {
+        if (!error) {
+            if (res.statusCode === 200) consumeLink();
+            logger.info('File served for download', { filename });
+            return;
+        }
+        logger.error('Error streaming file', { filename, error });
         if (!res.headersSent) {
             res.status(500).json({ error: 'Error downloading file' });
         }
     });
-});
+}));
 
-// Create downloads directory if it doesn't exist
+// Create downloads directory if it doesn't exist. Downloads and
+// conversions happen here; finished outputs then go to storage, which is
+// this same directory unless STORAGE_DRIVER says otherwise.
 const downloadsDir = path.join(__dirname, 'downloads');
 if (!fs.existsSync(downloadsDir)) {
     fs.mkdirSync(downloadsDir);
 }
+const storage = createStorage(downloadsDir);
+logger.info('Outputs are stored in ' + storage.description);
+
+// Nothing is in progress yet, so any partial output or temp file in the
+// work directory was left behind by a crash or restart. Finished outputs
+// are never touched, whatever their title.
+fs.readdirSync(downloadsDir)
+    .filter(file => !parseOutputName(file) && (isPartFile(file) || /_temp_(video|audio)\.mp4$/.test(file)))
+    .forEach(file => {
+        fs.unlinkSync(path.join(downloadsDir, file));
+        logger.info('Removed orphaned work file', { file });
+    });
+
+loadOutputCache(storage, downloadsDir)
+    .then(count => logger.info('Indexed cached outputs', { count }))
+    .catch(error => logger.error('Failed to index cached outputs', { error }));
+
+logger.info('Loaded pinned outputs', { count: loadRetention(storage, downloadsDir, config.cleanup.pinsFile) });
+
+// Apply the retention policy in config.cleanup, see lib/retention.js
+const sweepStorage = () => sweepOutputs({
+    maxAge: config.cleanup.maxAgeHours * 60 * 60 * 1000,
+    maxTotalBytes: config.cleanup.maxTotalMb * 1024 * 1024,
+    onRemove: (labels) => cleanedUpFiles.inc(labels)
+});
+
+// Called when an output is added. With a size cap, storage is brought
+// back under it straight away rather than at the next periodic sweep.
+const onOutputCommitted = (filename) => {
+    recordUse(filename);
+    if (config.cleanup.maxTotalMb > 0) {
+        sweepStorage().catch(error => logger.error('Retention sweep failed', { error }));
+    }
+};
+
+// Signed, expiring link a client downloads an output from. `oneTime`
+// overrides the DOWNLOAD_LINK_ONE_TIME default.
+const getOutputUrl = (filename, oneTime) => signDownloadLink(filename, { oneTime });
+
+// API keys and rate limiting
+// Clients authenticate with "Authorization: Bearer <API key>". Requests
+// without a key are limited per IP, unless API_KEYS_REQUIRED turns them
+// away. The admin endpoints use ADMIN_TOKEN instead and aren't limited.
+logger.info('Loaded API keys', { count: loadApiKeys(config.apiKeys.file) });
+
+const apiKeysRequired = config.apiKeys.required;
+
+// Client IPs come from X-Forwarded-For when behind a proxy or load balancer
+if (config.trustProxy) {
+    const { trustProxy } = config;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+const getBearerToken = (req) => {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+};
+
+const requireAdmin = (req, res, next) => {
+    const { adminToken } = config;
+    if (!adminToken) {
+        return res.status(403).json({ error: 'The admin API is disabled. Set ADMIN_TOKEN to enable it' });
+    }
+    
+    // Compare hashes so the comparison takes the same time for any token
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+    const token = getBearerToken(req);
+    if (!token || !crypto.timingSafeEqual(hash(token), hash(adminToken))) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+};
+
+// Send a 429 with Retry-After, and X-RateLimit-* describing the limit hit
+const rejectTooManyRequests = (res, { limit, resetAt }, message) => {
+    const retryAfter = Math.max(1, resetAt - Math.floor(Date.now() / 1000));
+    res.setHeader('Retry-After', retryAfter);
+    res.setHeader('X-RateLimit-Limit', limit);
+    res.setHeader('X-RateLimit-Remaining', 0);
+    res.setHeader('X-RateLimit-Reset', resetAt);
+    res.status(429).json({ error: message, retryAfter });
+};
+
+// GET /api/jobs/:id and /api/jobs/:id/events, relative to /api
+const JOB_POLL_PATH = /^\/jobs\/[^/]+(\/events)?$/;
+
+// Work out who the client is, then take a token from each of its buckets
+const authenticate = (req, res, next) => {
+    const key = getBearerToken(req);
+    
+    if (key) {
+        const apiKey = findApiKey(key);
+        if (!apiKey || apiKey.revokedAt) {
+            return res.status(401).json({ error: 'Invalid or revoked API key' });
+        }
+        req.client = { id: `key:${apiKey.id}`, apiKey, limits: getClientLimits(apiKey) };
+    } else if (apiKeysRequired) {
+        return res.status(401).json({ error: 'An API key is required. Send it as "Authorization: Bearer <key>"' });
+    } else {
+        req.client = { id: `ip:${req.ip}`, apiKey: null, limits: getClientLimits(null) };
+    }
+    
+    const polling = req.method === 'GET' && JOB_POLL_PATH.test(req.path);
+    let shown = null;
+    for (const [bucketId, limits] of getRequestBuckets(req.client, req.ip, polling)) {
+        const bucket = takeToken(bucketId, limits);
+        if (bucket.limit === null) continue;
+        if (!bucket.allowed) {
+            return rejectTooManyRequests(res, { limit: bucket.limit, resetAt: Math.ceil(Date.now() / 1000) + bucket.retryAfter }, 'Rate limit exceeded, slow down');
+        }
+        shown = shown || bucket;
+    }
+    
+    // The headers describe the client's own bucket
+    if (shown) {
+        res.setHeader('X-RateLimit-Limit', shown.limit);
+        res.setHeader('X-RateLimit-Remaining', shown.remaining);
+        res.setHeader('X-RateLimit-Reset', shown.resetAt);
+    }
+    next();
+};
+
+// For endpoints that start downloads, once the request is known to be
+// valid: check the client's daily quotas and count the download. Sends a
+// 429 and returns false when a quota is used up.
+const useDownloadQuota = (req, res) => {
+    const quota = checkQuota(req.client.id, req.client.limits);
+    if (!quota.allowed) {
+        rejectTooManyRequests(
+            res,
+            quota,
+            quota.quota === 'downloads'
+                ? `Daily download limit of ${quota.limit} reached`
+                : `Daily download limit of ${quota.limit} MB reached`
+        );
+        return false;
+    }
+    recordDownload(req.client.id);
+    return true;
+};
+
+// Admin endpoints for API keys
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+    try {
+        res.status(201).json(issueApiKey(req.body));
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    res.json({
+        defaults: getDefaultLimits().apiKey,
+        keys: listApiKeys().map(key => ({ ...key, usageToday: getUsage(`key:${key.id}`) }))
+    });
+});
+
+// Configuration in effect, with secrets redacted
+app.get('/api/admin/config', requireAdmin, (req, res) => {
+    res.json(redactConfig(config));
+});
+
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+    const key = revokeApiKey(req.params.id);
+    if (!key) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ success: true, key });
+});
+
+// Outputs in storage and their retention, see lib/retention.js
+app.get('/api/admin/outputs', requireAdmin, async (req, res) => {
+    try {
+        const outputs = await listOutputs();
+        res.json({
+            totalBytes: outputs.reduce((total, output) => total + output.size, 0),
+            maxTotalBytes: config.cleanup.maxTotalMb * 1024 * 1024 || null,
+            maxAgeHours: config.cleanup.maxAgeHours,
+            outputs
+        });
+    } catch (error) {
+        logger.error('Could not list outputs', { error });
+        res.status(500).json({ error: 'Could not list outputs' });
+    }
+});
+
+app.post('/api/admin/outputs/sweep', requireAdmin, async (req, res) => {
+    try {
+        res.json(await sweepStorage());
+    } catch (error) {
+        logger.error('Retention sweep failed', { error });
+        res.status(500).json({ error: 'Retention sweep failed' });
+    }
+});
+
+app.delete('/api/admin/outputs/:name', requireAdmin, async (req, res) => {
+    if (!isValidName(req.params.name)) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    try {
+        const output = await deleteOutput(req.params.name);
+        res.json({ success: true, name: output.name, size: output.size });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Pinned outputs are kept whatever their age and the size cap
+const pinRoute = (pinned) => async (req, res) => {
+    if (!isValidName(req.params.name)) {
+        return res.status(400).json({ error: 'Invalid filename' });
+    }
+    try {
+        await setPinned(req.params.name, pinned);
+        res.json({ success: true, name: req.params.name, pinned });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+};
+
+app.put('/api/admin/outputs/:name/pin', requireAdmin, pinRoute(true));
+app.delete('/api/admin/outputs/:name/pin', requireAdmin, pinRoute(false));
+
+// Log level, changeable at runtime without a restart
+app.get('/api/admin/log-level', requireAdmin, (req, res) => {
+    res.json({ level: getLogLevel(), levels: LOG_LEVELS });
+});
+
+app.put('/api/admin/log-level', requireAdmin, (req, res) => {
+    try {
+        setLogLevel(req.body.level);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+    logger.info('Log level changed', { logLevel: getLogLevel() });
+    res.json({ level: getLogLevel() });
+});
+
+// Prometheus metrics. Open unless METRICS_TOKEN is set, then scrapers
+// send it as "Authorization: Bearer <token>".
+app.get('/metrics', async (req, res) => {
+    const { metricsToken } = config;
+    if (metricsToken && getBearerToken(req) !== metricsToken) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(await renderMetrics());
+});
+
+// Liveness: the process is up and answering requests
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: whether this instance can take downloads. Answers 503 when
+// any check fails, so load balancers send traffic elsewhere.
+const minFreeDiskBytes = config.health.minFreeDiskMb * 1024 * 1024;
+
+app.get('/readyz', async (req, res) => {
+    const [ffmpegCheck, ffprobeCheck, disk, downloadsDirCheck] = await Promise.all([
+        checkBinary('ffmpeg'),
+        checkBinary('ffprobe'),
+        checkDiskSpace(downloadsDir, minFreeDiskBytes),
+        checkWritable(downloadsDir)
+    ]);
+    const poolStats = Object.values(pools).map(pool => ({ ...pool.getStats(), full: pool.isFull() }));
+    const extractorStats = extractors.getStats();
+    
+    const checks = {
+        ffmpeg: ffmpegCheck,
+        ffprobe: ffprobeCheck,
+        disk,
+        downloadsDir: downloadsDirCheck,
+        // A full queue turns new work away with 503s
+        queues: { ok: !poolStats.some(pool => pool.full), pools: poolStats },
+        // Degraded only when every extractor's breaker is open
+        extractors: { ok: extractorStats.some(extractor => extractor.state !== 'open'), extractors: extractorStats }
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'degraded', checks });
+});
+
+app.use('/api', authenticate);
 
 // Utility function to sanitize filename
 const sanitizeFilename = (filename) => {
@@ -115,107 +599,69 @@ const formatFileSize = (bytes) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
-// Helper function to get video info with fallback
-const getVideoInfoWithFallback = async (url, options) => {
-    // Add random delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 2000 + 500));
+// Stream a format of the video from its extractor, counting the bytes
+const createSourceStream = (info, format) => {
+    const source = extractors.createStream(info, format);
+    const extractor = info.extractor || 'unknown';
+    source.on('progress', (chunkLength) => downloadedBytes.inc({ extractor }, chunkLength));
+    return source;
+};
+
+// Get the unique video heights and audio bitrates a video is offered in
+const getAvailableQualities = (formats) => {
+    // Filter video formats with audio
+    const videoWithAudioFormats = formats.filter(f => 
+        f.hasVideo && f.hasAudio && f.height
+    );
     
-    try {
-        return await ytdl.getInfo(url, options);
-    } catch (error) {
-        console.log('Primary ytdl failed, trying fallback:', error.message);
-        
-        // Add another delay before fallback
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Try with fallback library (simpler options)
-        try {
-            return await ytdlFallback.getInfo(url, {
-                requestOptions: {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Cookie': '',
-                        'Referer': 'https://www.youtube.com/'
-                    }
-                }
-            });
-        } catch (fallbackError) {
-            console.log('Fallback also failed:', fallbackError.message);
-            throw fallbackError;
-        }
-    }
+    // Filter video-only formats
+    const videoOnlyFormats = formats.filter(f => 
+        f.hasVideo && !f.hasAudio && f.height
+    );
+    
+    // Filter audio-only formats
+    const audioOnlyFormats = formats.filter(f => 
+        !f.hasVideo && f.hasAudio && f.audioBitrate
+    );
+    
+    // Get unique video qualities from both video+audio and video-only formats
+    const allVideoFormats = [...videoWithAudioFormats, ...videoOnlyFormats];
+    const videoQualities = [...new Set(allVideoFormats
+        .map(f => f.height)
+        .sort((a, b) => b - a)
+    )].map(height => `${height}p`);
+
+    // Get unique audio qualities
+    const audioQualities = [...new Set(audioOnlyFormats
+        .map(f => f.audioBitrate)
+        .sort((a, b) => b - a)
+    )].map(bitrate => `${bitrate}kbps`);
+
+    return {
+        video: videoQualities,
+        audio: audioQualities
+    };
+};
+
+// Look up video info in the shared metadata cache, fetching it through the
+// extractors in the metadata pool on a miss. `fresh` ignores any cached
+// entry and refetches, `queueOptions` go to the pool (priority, queue
+// updates).
+const getCachedVideoInfo = (url, fresh = false, queueOptions = {}) => {
+    return loadVideoInfo(extractors.getId(url), () => pools.metadata.run(() => extractors.getInfo(url), queueOptions), { fresh });
 };
 
 // Get video info endpoint
 app.post('/api/video-info', async (req, res) => {
     try {
-        const { url } = req.body;
-        
-        console.log('Received URL:', url);
+        const { url, refresh = false } = req.body;
         
-        if (!ytdl.validateURL(url)) {
-            return res.status(400).json({ error: 'Invalid YouTube URL' });
+        if (!extractors.canHandle(url)) {
+            return res.status(400).json({ error: 'Invalid or unsupported video URL' });
         }
-
-        console.log('Getting video info...');
         
-        // Use queue to rate limit requests
-        const info = await queueRequest(async () => {
-            // Retry mechanism for getting video info
-            let attempts = 0;
-            const maxAttempts = 3;
-            
-            while (attempts < maxAttempts) {
-                try {
-                    return await ytdl.getInfo(url, {
-                        requestOptions: {
-                            headers: {
-                                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                                'Accept-Language': 'en-US,en;q=0.9',
-                                'Accept-Encoding': 'gzip, deflate, br',
-                                'DNT': '1',
-                                'Connection': 'keep-alive',
-                                'Upgrade-Insecure-Requests': '1',
-                                'Sec-Fetch-Dest': 'document',
-                                'Sec-Fetch-Mode': 'navigate',
-                                'Sec-Fetch-Site': 'cross-site',
-                                'Cache-Control': 'max-age=0',
-                                'Referer': 'https://www.youtube.com/'
-                            },
-                            transform: (parsed) => {
-                                parsed.rejectUnauthorized = false;
-                                return parsed;
-                            }
-                        },
-                        agent: false,
-                        lang: 'en',
-                        format: 'html5'
-                    });
-                } catch (error) {
-                    attempts++;
-                    console.log(`Attempt ${attempts} failed:`, error.message);
-                    
-                    if (attempts >= maxAttempts) {
-                        // Try fallback with regular ytdl-core
-                        console.log('Trying fallback with ytdl-core...');
-                        try {
-                            const result = await ytdlFallback.getInfo(url);
-                            console.log('Fallback successful!');
-                            return result;
-                        } catch (fallbackError) {
-                            console.log('Fallback also failed:', fallbackError.message);
-                            throw error; // Throw original error
-                        }
-                    }
-                    
-                    // Wait before retry
-                    await new Promise(resolve => setTimeout(resolve, 1000 * attempts));
-                }
-            }
-        });
+        // Fetched ahead of downloads' metadata when the info isn't cached
+        const info = await getCachedVideoInfo(url, !!refresh, { priority: 'high' });
         
         // Check for specific error types and provide user-friendly messages
         if (!info) {
@@ -226,15 +672,11 @@ app.post('/api/video-info', async (req, res) => {
         }
         
         const videoDetails = info.videoDetails;
-        console.log('Video title:', videoDetails.title);
-        
-        // Get all formats
         const allFormats = info.formats;
-        console.log('Total formats found:', allFormats.length);
-        
-        // Debug: Log format details
-        allFormats.forEach((format, index) => {
-            console.log(`Format ${index}:`, {
+        logger.debug('Video formats', {
+            url,
+            title: videoDetails.title,
+            formats: allFormats.map(format => ({
                 itag: format.itag,
                 quality: format.quality,
                 qualityLabel: format.qualityLabel,
@@ -243,45 +685,11 @@ app.post('/api/video-info', async (req, res) => {
                 hasAudio: format.hasAudio,
                 audioBitrate: format.audioBitrate,
                 container: format.container
-            });
+            }))
         });
         
-        // Filter video formats with audio
-        const videoWithAudioFormats = allFormats.filter(f => 
-            f.hasVideo && f.hasAudio && f.height
-        );
-        
-        // Filter video-only formats
-        const videoOnlyFormats = allFormats.filter(f => 
-            f.hasVideo && !f.hasAudio && f.height
-        );
-        
-        // Filter audio-only formats
-        const audioOnlyFormats = allFormats.filter(f => 
-            !f.hasVideo && f.hasAudio && f.audioBitrate
-        );
-        
-        console.log('Video+Audio formats:', videoWithAudioFormats.length);
-        console.log('Video-only formats:', videoOnlyFormats.length);
-        console.log('Audio-only formats:', audioOnlyFormats.length);
-        
-        // Get unique video qualities from both video+audio and video-only formats
-        const allVideoFormats = [...videoWithAudioFormats, ...videoOnlyFormats];
-        const videoQualities = [...new Set(allVideoFormats
-            .filter(f => f.height)
-            .map(f => f.height)
-            .sort((a, b) => b - a)
-        )].map(height => `${height}p`);
-
-        // Get unique audio qualities
-        const audioQualities = [...new Set(audioOnlyFormats
-            .filter(f => f.audioBitrate)
-            .map(f => f.audioBitrate)
-            .sort((a, b) => b - a)
-        )].map(bitrate => `${bitrate}kbps`);
-
-        console.log('Available video qualities:', videoQualities);
-        console.log('Available audio qualities:', audioQualities);
+        const availableQualities = getAvailableQualities(allFormats);
+        logger.info('Got video info', { url, title: videoDetails.title, formats: allFormats.length });
 
         res.json({
             title: videoDetails.title,
@@ -290,17 +698,18 @@ app.post('/api/video-info', async (req, res) => {
             viewCount: videoDetails.viewCount,
             publishDate: videoDetails.publishDate,
             description: videoDetails.description?.substring(0, 200) + '...',
-            thumbnail: videoDetails.thumbnails[videoDetails.thumbnails.length - 1].url,
-            availableQualities: {
-                video: videoQualities,
-                audio: audioQualities
-            }
+            thumbnail: videoDetails.thumbnails[videoDetails.thumbnails.length - 1]?.url,
+            availableQualities,
+            availableFormats: getPossibleOutputFormats(allFormats),
+            captions: listCaptionLanguages(info),
+            chapters: getVideoChapters(videoDetails)
         });
 
     } catch (error) {
-        console.error('Error getting video info:', error);
-        console.error('Error details:', error.message);
-        console.error('Error stack:', error.stack);
+        logger.error('Error getting video info', { url: req.body.url, error });
+        if (error.statusCode === 503) {
+            return rejectBusy(res, error.message);
+        }
         res.status(500).json({ 
             error: 'Failed to get video information',
             details: error.message 
@@ -311,36 +720,13 @@ app.post('/api/video-info', async (req, res) => {
 // Debug formats endpoint
 app.post('/api/debug-formats', async (req, res) => {
     try {
-        const { url } = req.body;
-        
-        if (!ytdl.validateURL(url)) {
-            return res.status(400).json({ error: 'Invalid YouTube URL' });
-        }
-
-        const info = await getVideoInfoWithFallback(url, {
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'DNT': '1',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none',
-                    'Cache-Control': 'max-age=0'
-                },
-                transform: (parsed) => {
-                    parsed.rejectUnauthorized = false;
-                    return parsed;
-                }
-            },
-            agent: false,
-            lang: 'en',
-            format: 'html5'
-        });
+        const { url, refresh = false } = req.body;
+        
+        if (!extractors.canHandle(url)) {
+            return res.status(400).json({ error: 'Invalid or unsupported video URL' });
+        }
+
+        const info = await getCachedVideoInfo(url, !!refresh);
         const videoDetails = info.videoDetails;
         
         // Get all available formats with detailed information
@@ -367,475 +753,1864 @@ app.post('/api/debug-formats', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Error getting debug info:', error);
+        logger.error('Error getting debug info', { url: req.body.url, error });
         res.status(500).json({ error: 'Failed to get debug information' });
     }
 });
 
 // Download endpoint
+// Starts a background job and returns its ID straight away so long merges
+// don't hold the HTTP request open. Pass `wait: true` to block until the
+// job has finished and get the result in the response instead.
+// Optional `start`/`end` (seconds or hh:mm:ss) download just a clip.
 app.post('/api/download', async (req, res) => {
     try {
-        const { url, format, quality } = req.body;
-        
-        console.log('Download request:', { url, format, quality });
-        
-        if (!ytdl.validateURL(url)) {
-            return res.status(400).json({ error: 'Invalid YouTube URL' });
-        }
-
-        const info = await getVideoInfoWithFallback(url, {
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'DNT': '1',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none',
-                    'Cache-Control': 'max-age=0'
-                },
-                transform: (parsed) => {
-                    parsed.rejectUnauthorized = false;
-                    return parsed;
-                }
-            },
-            agent: false,
-            lang: 'en',
-            format: 'html5'
-        });
-        const title = sanitizeFilename(info.videoDetails.title);
+        const { url, format, quality = 'best', wait = false, refresh = false, oneTimeLink } = req.body;
         
-        console.log('Starting download for:', title);
+        logger.info('Download request', { url, format, quality });
         
-        if (format === 'mp3') {
-            await downloadMP3(url, title, quality, res, info);
-        } else {
-            await downloadMP4(url, title, quality, res, info);
+        if (!extractors.canHandle(url)) {
+            return res.status(400).json({ error: 'Invalid or unsupported video URL' });
         }
 
-    } catch (error) {
-        console.error('Download error:', error);
-        console.error('Error details:', error.message);
-        if (!res.headersSent) {
-            res.status(500).json({ 
-                error: 'Download failed',
-                details: error.message 
-            });
+        let clip;
+        let outputFormat;
+        let metadata;
+        let subtitles;
+        let audioFilters;
+        let transcode;
+        let split = null;
+        try {
+            outputFormat = resolveOutputFormat(format);
+            clip = parseClipOptions(req.body);
+            metadata = parseMetadataOptions(req.body);
+            subtitles = parseSubtitleOptions(req.body);
+            audioFilters = parseAudioFilterOptions(req.body);
+            if (audioFilters) checkAudioFilters(audioFilters, outputFormat);
+            transcode = parseTranscodeOptions(req.body);
+            if (transcode) checkTranscodeOptions(transcode, outputFormat);
+            
+            const chapters = parseSplitPoints(req.body.chapters);
+            if (req.body.splitChapters || chapters) {
+                split = { chapters };
+            }
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
-    }
-});
 
-// MP3 Download function
-async function downloadMP3(url, title, quality, res, info) {
-    const filename = `${title}.mp3`;
-    const filepath = path.join(downloadsDir, filename);
-    
-    try {
-        console.log('Starting MP3 download...');
-        
-        // Get the best audio format
-        const audioFormats = info.formats.filter(f => 
-            !f.hasVideo && f.hasAudio && f.audioBitrate && f.contentLength
-        );
-        
-        console.log('Available audio formats for MP3:', audioFormats.map(f => ({
-            audioBitrate: f.audioBitrate,
-            audioSampleRate: f.audioSampleRate,
-            itag: f.itag,
-            container: f.container
-        })));
-        
-        if (audioFormats.length === 0) {
-            throw new Error('No audio-only formats available');
+        if (subtitles && outputFormat.kind !== 'video') {
+            return res.status(400).json({ error: 'Subtitles can only be added to video formats' });
         }
-        
-        // Select the best audio format
-        const bestAudioFormat = audioFormats.sort((a, b) => b.audioBitrate - a.audioBitrate)[0];
-        console.log('Selected audio format:', bestAudioFormat.itag, bestAudioFormat.audioBitrate + 'kbps');
-        
-        // Get audio stream with specific format
-        const audioStream = ytdl(url, {
-            format: bestAudioFormat,
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
+        if (split && outputFormat.kind !== 'audio') {
+            return res.status(400).json({ error: 'Splitting by chapters is only supported for audio formats' });
+        }
+        if (split && clip) {
+            return res.status(400).json({ error: 'Splitting by chapters can\'t be combined with start/end' });
+        }
+        // Both move audio away from the chapter times
+        if (split && (audioFilters?.speed || audioFilters?.trimSilence)) {
+            return res.status(400).json({ error: 'Splitting by chapters can\'t be combined with speed or trimSilence' });
+        }
+        // Burning re-encodes the video again with the format's own codec
+        if (transcode && subtitles?.mode === 'burn') {
+            return res.status(400).json({ error: 'Transcoding can\'t be combined with burned-in subtitles' });
+        }
+        if (transcode) {
+            try {
+                await resolveEncoder(transcode.codec);
+            } catch (error) {
+                return res.status(error.statusCode || 500).json({ error: error.message });
             }
-        });
-
-        // Determine bitrate
-        let bitrate = 192; // default
-        if (quality !== 'best' && quality.includes('kbps')) {
-            bitrate = parseInt(quality.replace('kbps', ''));
         }
 
-        console.log('Converting to MP3 with bitrate:', bitrate);
+        // A clip past the end of the video is rejected now, rather than
+        // answered with a 202 for a job that can only fail. The info is
+        // cached, so the job doesn't fetch it again.
+        if (clip) {
+            try {
+                const info = await getCachedVideoInfo(url, false, { priority: 'high' });
+                resolveClipRange(clip, info.videoDetails.lengthSeconds);
+            } catch (error) {
+                if (error.statusCode === 503) {
+                    return rejectBusy(res, error.message);
+                }
+                return res.status(error.statusCode || 500).json({ error: error.message });
+            }
+        }
 
-        // Convert to MP3 using ffmpeg
-        const ffmpegProcess = ffmpeg(audioStream)
-            .audioBitrate(bitrate)
-            .format('mp3')
-            .on('start', (commandLine) => {
-                console.log('FFmpeg started with command:', commandLine);
-            })
-            .on('progress', (progress) => {
-                console.log('Processing: ' + progress.percent + '% done');
-            })
-            .save(filepath);
+        // Identical requests share one output: serve a finished one straight
+        // away, or join the job that's producing it
+        const videoId = extractors.getId(url);
+        const cacheKey = computeCacheKey({ videoId, format: outputFormat.id, quality, clip, metadata, subtitles, audioFilters, transcode, split });
+        const cached = await getCachedOutput(cacheKey);
+        let running = cached ? null : getInFlight(cacheKey);
+        
+        // A cancelled job may still be cleaning up its files, let it finish
+        // before starting over under the same name
+        if (running && isCancelled(running.job)) {
+            await running.promise;
+            running = getInFlight(cacheKey);
+        }
+        
+        // Anything else waits for a download worker, unless that queue is full
+        if (!cached && !running && pools.download.isFull()) {
+            return rejectBusy(res, 'Server is busy: the download queue is full, try again later');
+        }
+        
+        if (!useDownloadQuota(req, res)) return;
 
-        ffmpegProcess.on('end', () => {
-            console.log('MP3 conversion completed');
-            const fileSize = fs.existsSync(filepath) ? fs.statSync(filepath).size : 0;
-            res.json({
+        if (cached) {
+            logger.info('Serving cached output', { filename: cached.filename });
+            recordUse(cached.filename);
+            recordBytes(req.client.id, cached.fileSize);
+            const job = createJob({ url, videoId, format: outputFormat.id, quality, cacheKey, oneTimeLink });
+            setJobStatus(job, 'done', {
+                title: cached.title,
+                filename: cached.filename,
+                downloadUrl: getOutputUrl(cached.filename, oneTimeLink),
+                fileSize: cached.fileSize,
+                fileSizeFormatted: formatFileSize(cached.fileSize),
+                message: `Ready! (${formatFileSize(cached.fileSize)}, cached)`,
+                cached: true
+            });
+            if (!wait) {
+                // Same shape as a started job; polling it gives the link
+                return res.status(202).json({
+                    success: true,
+                    jobId: job.id,
+                    status: job.status,
+                    statusUrl: `/api/jobs/${job.id}`,
+                    message: job.message,
+                    cached: true
+                });
+            }
+            return res.json({
                 success: true,
-                filename: filename,
-                downloadUrl: `/downloads/${filename}`,
-                message: `MP3 download completed successfully! (${formatFileSize(fileSize)})`,
-                fileSize: fileSize,
-                fileSizeFormatted: formatFileSize(fileSize),
+                jobId: job.id,
+                status: job.status,
+                filename: job.filename,
+                downloadUrl: job.downloadUrl,
+                message: job.message,
+                fileSize: job.fileSize,
+                fileSizeFormatted: job.fileSizeFormatted,
+                cached: true,
                 autoDownload: true // Flag to trigger automatic download in frontend
             });
-        });
+        }
 
-        ffmpegProcess.on('error', (error) => {
-            console.error('FFmpeg error:', error);
-            res.status(500).json({ 
-                error: 'Failed to convert to MP3',
-                details: error.message 
+        let job;
+        let jobPromise;
+        if (running) {
+            logger.info('Joining in-flight job', { jobId: running.job.id });
+            ({ job, promise: jobPromise } = running);
+        } else {
+            job = createJob({ url, videoId, format: outputFormat.id, quality, clip, metadata, subtitles, audioFilters, transcode, split, cacheKey, refresh: !!refresh, oneTimeLink, priority: 'normal' });
+            jobPromise = withLogContext({ jobId: job.id }, () => runDownloadJob(job));
+            trackInFlight(cacheKey, { job, promise: jobPromise });
+        }
+        
+        // Count the output against the client's daily quota once it's ready
+        const clientId = req.client.id;
+        jobPromise.then(() => {
+            if (job.status === 'done') recordBytes(clientId, job.fileSize);
+        });
+
+        addJobClient(job, clientId);
+
+        if (!wait) {
+            // The client will poll for the result and stays on the job until
+            // it cancels with DELETE /api/jobs/:id
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/jobs/${job.id}`,
+                message: 'Download started'
             });
+        }
+
+        // Stop the job if every client waiting on it goes away before it's
+        // done and nobody is polling for it
+        res.on('close', () => {
+            if (res.writableEnded || isTerminal(job)) return;
+            if (removeJobClient(job, clientId) === 0 && cancelJob(job)) {
+                logger.info('Client disconnected, cancelling job', { jobId: job.id });
+            }
         });
 
-    } catch (error) {
-        console.error('MP3 download error:', error);
-        res.status(500).json({ 
-            error: 'MP3 download failed',
-            details: error.message 
+        await jobPromise;
+
+        if (job.status === 'cancelled') {
+            return res.status(409).json({
+                error: 'Download was cancelled',
+                jobId: job.id
+            });
+        }
+
+        if (job.status === 'failed') {
+            return res.status(job.errorStatus || 500).json({ 
+                error: 'Download failed',
+                details: job.error,
+                jobId: job.id
+            });
+        }
+
+        // The job may be shared with other requests, so sign a link of our own
+        res.json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            filename: job.filename,
+            downloadUrl: getOutputUrl(job.filename, oneTimeLink),
+            message: job.message,
+            fileSize: job.fileSize,
+            fileSizeFormatted: job.fileSizeFormatted,
+            autoDownload: true // Flag to trigger automatic download in frontend
         });
+
+    } catch (error) {
+        logger.error('Download error', { url: req.body.url, error });
+        if (!res.headersSent) {
+            res.status(500).json({ 
+                error: 'Download failed',
+                details: error.message 
+            });
+        }
     }
-}
+});
 
-// MP4 Download function
-async function downloadMP4(url, title, quality, res, info) {
-    const filename = `${title}.mp4`;
-    const filepath = path.join(downloadsDir, filename);
+// Stream endpoint
+// Sends the output to the client while it's being produced, without
+// writing anything to disk: the source stream as it is when it already
+// fits the format, otherwise ffmpeg's output, with merges reading video
+// and audio through two pipes. MP4 and M4A are sent as fragmented MP4.
+// Nothing is cached, and a client that goes away stops the download.
+app.get('/api/stream', asyncRoute(async (req, res) => {
+    const { url, format, quality = 'best', refresh } = req.query;
+    
+    if (!extractors.canHandle(url)) {
+        return res.status(400).json({ error: 'Invalid or unsupported video URL' });
+    }
+    
+    let outputFormat;
+    try {
+        outputFormat = resolveOutputFormat(format);
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({ error: error.message });
+    }
+    
+    let info;
+    let plan;
+    try {
+        info = await getCachedVideoInfo(url, refresh === 'true', { priority: 'high' });
+        plan = planStream(outputFormat, info.formats, quality);
+    } catch (error) {
+        logger.error('Stream error', { url, error });
+        if (error.statusCode === 503) {
+            return rejectBusy(res, error.message);
+        }
+        return res.status(500).json({
+            error: 'Failed to start stream',
+            details: error.message
+        });
+    }
+    
+    // Only charged once there's something to stream
+    if (!useDownloadQuota(req, res)) return;
+    
+    const filename = `${sanitizeFilename(info.videoDetails.title)}${outputFormat.extension}`;
     
+    // Hold a download worker, and an ffmpeg worker when converting, until
+    // the response is over. Streams go ahead of background jobs since a
+    // client is waiting on them.
+    const clientGone = new AbortController();
+    const releaseWorkers = [];
+    res.on('close', () => {
+        clientGone.abort();
+        releaseWorkers.forEach(release => release());
+    });
     try {
-        console.log('Starting MP4 download with quality:', quality);
+        for (const pool of plan.args ? [pools.download, pools.ffmpeg] : [pools.download]) {
+            releaseWorkers.push(await pool.acquire({ priority: 'high', signal: clientGone.signal }));
+        }
+    } catch (error) {
+        if (error.cancelled) return;
+        return rejectBusy(res, error.message);
+    }
+    if (clientGone.signal.aborted) {
+        return releaseWorkers.forEach(release => release());
+    }
+    
+    logger.info('Streaming', { filename, itags: plan.sources.map(f => f.itag) });
+    
+    // ffmpeg reads direct media itself; a plain copy still streams it
+    const sourceInputs = plan.sources.map(source => plan.args && readsSourceItself(info)
+        ? [...getUrlInputOptions(source), '-i', source.url]
+        : createSourceStream(info, source));
+    const sourceStreams = sourceInputs.filter(input => !Array.isArray(input));
+    
+    res.setHeader('Content-Disposition', getContentDisposition(filename));
+    res.setHeader('Content-Type', outputFormat.contentType);
+    res.setHeader('Cache-Control', 'no-store');
+    
+    // Count what's sent against the client's daily quota
+    const clientId = req.client.id;
+    let bytesSent = 0;
+    const countBytes = (chunk) => {
+        bytesSent += chunk.length;
+    };
+    res.on('close', () => recordBytes(clientId, bytesSent));
+    
+    if (!plan.args) {
+        const [source] = plan.sources;
+        if (source.contentLength) {
+            res.setHeader('Content-Length', source.contentLength);
+        }
+        sourceStreams[0].on('data', countBytes);
+        stream.pipeline(sourceStreams[0], res, (error) => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                logger.error('Stream error', { filename, error });
+            }
+        });
+        return;
+    }
+    
+    const ffmpegProcess = spawnFfmpegPipe(sourceInputs, plan.args);
+    let finished = false;
+    
+    const finish = (error) => {
+        if (finished) return;
+        finished = true;
+        sourceStreams.forEach(source => source.destroy());
         
-        let targetHeight = null;
+        if (!error) {
+            logger.info('Stream completed', { filename });
+            res.end();
+        } else if (!res.headersSent) {
+            logger.error('Stream error', { filename, error });
+            res.status(500).json({ error: 'Failed to stream file', details: error.message });
+        } else {
+            // Too late for an error response, cut the download short
+            logger.error('Stream error', { filename, error });
+            res.destroy(error);
+        }
+    };
+    
+    ffmpegProcess.stdout.on('data', countBytes);
+    ffmpegProcess.stdout.pipe(res, { end: false });
+    ffmpegProcess.on('error', finish);
+    ffmpegProcess.on('close', (code, signal) => {
+        if (code === 0) return finish();
+        finish(new Error(ffmpegProcess.stderrTail.trim() || `ffmpeg exited with ${signal || `code ${code}`}`));
+    });
+    sourceStreams.forEach(source => source.on('error', (error) => {
+        ffmpegProcess.kill('SIGKILL');
+        finish(error);
+    }));
+    
+    // Client went away before the end, stop downloading and converting
+    res.on('close', () => {
+        if (finished) return;
+        logger.info('Client disconnected, stopping stream', { filename });
+        finished = true;
+        ffmpegProcess.kill('SIGKILL');
+        sourceStreams.forEach(source => source.destroy());
+    });
+}));
+
+// Subtitle download endpoint
+// Saves one caption track as SRT or WebVTT
+app.post('/api/subtitles', async (req, res) => {
+    try {
+        const { url, lang, format = 'srt', autoGenerated = false, refresh = false, oneTimeLink } = req.body;
         
-        // Determine target height
-        if (quality !== 'best' && quality.includes('p')) {
-            targetHeight = parseInt(quality.replace('p', ''));
-            console.log('Target height:', targetHeight);
+        if (!extractors.canHandle(url)) {
+            return res.status(400).json({ error: 'Invalid or unsupported video URL' });
+        }
+        if (!lang) {
+            return res.status(400).json({ error: 'lang is required' });
+        }
+        if (!SUBTITLE_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid subtitle format: ${format}. Use one of: ${SUBTITLE_FORMATS.join(', ')}` });
         }
 
-        // Get available formats
-        const allFormats = info.formats;
-        console.log('Total formats available:', allFormats.length);
+        const info = await getCachedVideoInfo(url, !!refresh);
         
-        // Filter formats that have both video and audio
-        const videoWithAudioFormats = allFormats.filter(f => 
-            f.hasVideo && f.hasAudio && f.height && f.contentLength
-        );
+        let track;
+        try {
+            track = selectCaptionTrack(info, lang, !!autoGenerated);
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({ error: error.message });
+        }
         
-        console.log('Available video+audio formats:', videoWithAudioFormats.map(f => ({
-            height: f.height,
-            quality: f.quality,
-            qualityLabel: f.qualityLabel,
-            itag: f.itag,
-            container: f.container
-        })));
+        const cues = await fetchCaptionCues(track);
+        const suffix = track.autoGenerated ? `${track.languageCode}.auto` : track.languageCode;
+        const filename = `${sanitizeFilename(info.videoDetails.title)}_${info.videoDetails.videoId}.${suffix}.${format}`;
         
-        // First, try to find a format with both video and audio
-        let selectedFormat = null;
+        // Write under a temp name so the file never shows up half-written
+        const partPath = path.join(downloadsDir, `${filename}.part`);
+        fs.writeFileSync(partPath, formatCues(cues, format));
+        await storage.save(filename, partPath);
         
-        if (targetHeight) {
-            // Look for exact height match with video and audio
-            selectedFormat = videoWithAudioFormats.find(f => f.height === targetHeight);
-            console.log('Exact match found:', !!selectedFormat);
-            
-            // If not found, look for closest height with video and audio
-            if (!selectedFormat) {
-                const closestFormats = videoWithAudioFormats
-                    .filter(f => f.height <= targetHeight)
-                    .sort((a, b) => b.height - a.height);
-                
-                selectedFormat = closestFormats[0];
-                console.log('Closest match found:', !!selectedFormat, selectedFormat?.height);
-            }
-        } else {
-            // Get best quality with both video and audio
-            const sortedFormats = videoWithAudioFormats.sort((a, b) => b.height - a.height);
-            selectedFormat = sortedFormats[0];
-            console.log('Best quality match found:', !!selectedFormat, selectedFormat?.height);
+        logger.info('Saved subtitles', { filename, cues: cues.length });
+        res.json({
+            success: true,
+            filename,
+            downloadUrl: getOutputUrl(filename, oneTimeLink),
+            languageCode: track.languageCode,
+            name: track.name,
+            autoGenerated: track.autoGenerated,
+            cues: cues.length
+        });
+
+    } catch (error) {
+        logger.error('Subtitle download error', { url: req.body.url, error });
+        if (error.statusCode === 503) {
+            return rejectBusy(res, error.message);
         }
+        res.status(500).json({ 
+            error: 'Failed to download subtitles',
+            details: error.message 
+        });
+    }
+});
 
-        if (selectedFormat) {
-            console.log(`Downloading single stream: ${selectedFormat.height}p, container: ${selectedFormat.container}, itag: ${selectedFormat.itag}`);
-            
-            try {
-                const videoStream = ytdl(url, {
-                    format: selectedFormat,
-                    requestOptions: {
-                        headers: {
-                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                        }
-                    }
-                });
+// Video info cache administration
+// Show what's cached, or drop one video (or everything) so the next
+// request fetches fresh info
+app.get('/api/admin/cache/info', requireAdmin, (req, res) => {
+    res.json(getInfoCacheStats());
+});
 
-                const writeStream = fs.createWriteStream(filepath);
-                await pipeline(videoStream, writeStream);
+app.delete('/api/admin/cache/info/:videoId', requireAdmin, (req, res) => {
+    if (!/^[\w-]{11}$/.test(req.params.videoId)) {
+        return res.status(400).json({ error: 'Invalid video ID' });
+    }
+    res.json({ success: true, removed: invalidateInfo(req.params.videoId) });
+});
 
-                console.log('Single stream download completed');
-                const fileSize = fs.existsSync(filepath) ? fs.statSync(filepath).size : 0;
-                res.json({
-                    success: true,
-                    filename: filename,
-                    downloadUrl: `/downloads/${filename}`,
-                    message: `MP4 download completed successfully at ${selectedFormat.height}p! (${formatFileSize(fileSize)})`,
-                    fileSize: fileSize,
-                    fileSizeFormatted: formatFileSize(fileSize),
-                    autoDownload: true // Flag to trigger automatic download in frontend
-                });
-            } catch (streamError) {
-                console.error('Stream download failed:', streamError.message);
-                console.log('Falling back to merge method...');
-                await downloadAndMergeMP4(url, title, quality, res, info);
-            }
-        } else {
-            // No single format found, need to merge video and audio
-            console.log('No single format found, downloading and merging...');
-            await downloadAndMergeMP4(url, title, quality, res, info);
-        }
+app.delete('/api/admin/cache/info', requireAdmin, (req, res) => {
+    res.json({ success: true, removed: clearInfoCache() });
+});
+
+// Worker pool status: how busy each pool is and how much is waiting
+app.get('/api/queue', (req, res) => {
+    res.json({ pools: Object.values(pools).map(pool => pool.getStats()) });
+});
 
+// Video codecs that can be transcoded to, with the encoders the local
+// ffmpeg has for each
+app.get('/api/encoders', async (req, res) => {
+    try {
+        res.json({ codecs: await getVideoEncoders() });
     } catch (error) {
-        console.error('MP4 download error:', error);
-        res.status(500).json({ 
-            error: 'MP4 download failed',
-            details: error.message 
+        logger.error('Failed to list ffmpeg encoders', { error });
+        res.status(500).json({ error: 'Could not query ffmpeg for its encoders' });
+    }
+});
+
+// Extractors in fallback order, with the state of their circuit breakers
+app.get('/api/extractors', (req, res) => {
+    res.json({ extractors: extractors.getStats() });
+});
+
+// Job status endpoint
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    // A one-time link is signed once, when the job finishes; polls get that
+    // same link, which may have been used already
+    if (job.filename && (job.oneTimeLink ?? config.downloadLinks.oneTime)) {
+        return res.json({ ...serializeJob(job), oneTimeLink: true });
+    }
+    // Other download links expire, so hand out a fresh one on every poll
+    if (job.filename) {
+        return res.json({ ...serializeJob(job), downloadUrl: getOutputUrl(job.filename, false) });
+    }
+    
+    res.json(serializeJob(job));
+});
+
+// Cancel a job: queued work is dropped, downloads and ffmpeg are stopped
+// and partial outputs are removed. A job shared by identical requests only
+// lets go of the caller, and is cancelled once no client is left on it.
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (isTerminal(job)) {
+        return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status });
+    }
+    if (!hasJobClient(job, req.client.id)) {
+        return res.status(403).json({ error: 'Only clients that requested this job can cancel it' });
+    }
+    
+    if (removeJobClient(job, req.client.id, true) > 0) {
+        logger.info('Client left shared job', { jobId: job.id });
+        return res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            message: 'Stopped waiting for the download, other clients still need it'
         });
     }
-}
+    
+    cancelJob(job);
+    logger.info('Cancelling job', { jobId: job.id });
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        message: 'Cancelling download'
+    });
+});
 
-// Download and merge MP4 (for higher quality videos)
-async function downloadAndMergeMP4(url, title, quality, res, info) {
-    const filename = `${title}.mp4`;
-    const filepath = path.join(downloadsDir, filename);
-    const tempVideoPath = path.join(downloadsDir, `${title}_temp_video.mp4`);
-    const tempAudioPath = path.join(downloadsDir, `${title}_temp_audio.mp4`);
+// Job progress stream (Server-Sent Events)
+// Sends the current state first, then phase changes and progress for each
+// stream and ffmpeg, and ends with a `done`, `error` or `cancelled` event.
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Stop nginx from buffering the stream
+    res.flushHeaders();
+    
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    sendEvent('status', serializeJob(job));
+    
+    if (isTerminal(job)) {
+        if (job.status === 'done') {
+            sendEvent('done', serializeJob(job));
+        } else if (job.status === 'cancelled') {
+            sendEvent('cancelled', { id: job.id });
+        } else {
+            sendEvent('error', { id: job.id, error: job.error });
+        }
+        return res.end();
+    }
+    
+    // Keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    
+    const unsubscribe = subscribeToJob(job, ({ event, data }) => {
+        sendEvent(event, data);
+        if (event === 'done' || event === 'error' || event === 'cancelled') {
+            stop();
+            res.end();
+        }
+    });
+    
+    const stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+    
+    req.on('close', stop);
+});
+
+// Pool options for a job's work. While it waits for a worker the job is
+// back in the queued state with its place in the queue, and it picks up
+// where it was once it gets one. Cancelling the job takes it out of the
+// queue, except for metadata lookups: those are shared by every request
+// for the same video.
+const queueOptionsFor = (job, pool) => {
+    let resumeStatus = null;
+    return {
+        priority: job.priority,
+        signal: pool === pools.metadata ? undefined : getJobSignal(job),
+        onQueued: (position) => {
+            if (job.status !== 'queued') {
+                resumeStatus = job.status;
+                setJobStatus(job, 'queued');
+            }
+            updateJobQueue(job, { pool: pool.name, position });
+        },
+        onStart: () => {
+            if (!resumeStatus) return;
+            setJobStatus(job, resumeStatus);
+            updateJobQueue(job, null);
+        }
+    };
+};
+
+const runJobTask = (job, pool, task) => pool.run(task, queueOptionsFor(job, pool));
+
+// Run a download job to completion. Never rejects: failures are recorded on
+// the job itself so pollers can see them.
+async function runDownloadJob(job) {
+    let partTitle = null;
+    // Every file of the job has its cache key in the name
+    const releaseFiles = holdFiles(job.cacheKey);
     
     try {
-        console.log('Starting merge process...');
+        setJobStatus(job, 'fetching');
         
-        let targetHeight = null;
+        const info = await getCachedVideoInfo(job.url, job.refresh, queueOptionsFor(job, pools.metadata));
+        const title = sanitizeFilename(info.videoDetails.title);
+        partTitle = getPartBasename(title, job.videoId, job.cacheKey);
+        updateJob(job, {
+            title: info.videoDetails.title,
+            duration: parseInt(info.videoDetails.lengthSeconds) || null
+        });
         
-        if (quality !== 'best' && quality.includes('p')) {
-            targetHeight = parseInt(quality.replace('p', ''));
+        if (job.clip) {
+            const clip = resolveClipRange(job.clip, info.videoDetails.lengthSeconds);
+            updateJob(job, { clip, duration: clip.duration });
         }
-
-        // Select video format
-        let videoFormat;
-        const videoOnlyFormats = info.formats.filter(f => 
-            f.hasVideo && !f.hasAudio && f.height && f.contentLength
-        );
         
-        console.log('Available video-only formats:', videoOnlyFormats.map(f => ({
-            height: f.height,
-            quality: f.quality,
-            qualityLabel: f.qualityLabel,
-            itag: f.itag,
-            container: f.container
-        })));
+        // Check the captions exist before spending time on the download
+        const captionTrack = job.subtitles
+            ? selectCaptionTrack(info, job.subtitles.lang, job.subtitles.autoGenerated)
+            : null;
         
-        if (targetHeight) {
-            // Find exact height match
-            videoFormat = videoOnlyFormats.find(f => f.height === targetHeight);
-            
-            // If not found, get closest
-            if (!videoFormat) {
-                const closestFormats = videoOnlyFormats
-                    .filter(f => f.height <= targetHeight)
-                    .sort((a, b) => b.height - a.height);
-                videoFormat = closestFormats[0];
-            }
-        } else {
-            // Get highest quality
-            videoFormat = videoOnlyFormats.sort((a, b) => b.height - a.height)[0];
+        const chapterRanges = job.split
+            ? resolveChapterRanges(info, job.split.chapters)
+            : null;
+        
+        logger.info('Starting download', { title });
+        
+        const result = await runJobTask(job, pools.download, () => downloadInFormat(job.url, partTitle, job.quality, info, job));
+        
+        if (captionTrack) {
+            await subtitleOutputFile(result.filename, captionTrack, job);
+            result.fileSize = getFileSize(path.join(downloadsDir, result.filename));
         }
-
-        // Select audio format
-        const audioOnlyFormats = info.formats.filter(f => 
-            !f.hasVideo && f.hasAudio && f.audioBitrate && f.contentLength
-        );
         
-        console.log('Available audio-only formats:', audioOnlyFormats.map(f => ({
-            audioBitrate: f.audioBitrate,
-            audioSampleRate: f.audioSampleRate,
-            itag: f.itag,
-            container: f.container
-        })));
+        if (chapterRanges) {
+            Object.assign(result, await splitOutputFile(result.filename, title, chapterRanges, info, job));
+        } else if (job.metadata.embed) {
+            result.fileSize = await tagOutputFile(result.filename, info, job);
+        }
         
-        const audioFormat = audioOnlyFormats.sort((a, b) => b.audioBitrate - a.audioBitrate)[0];
+        // Only now is the output complete and safe to hand out again
+        const filename = await commitOutput(job.cacheKey, result.filename, { title: info.videoDetails.title, url: job.url });
+        onOutputCommitted(filename);
 
-        if (!videoFormat || !audioFormat) {
-            throw new Error(`Could not find suitable formats. Video: ${!!videoFormat}, Audio: ${!!audioFormat}`);
+        setJobStatus(job, 'done', {
+            filename,
+            downloadUrl: getOutputUrl(filename, job.oneTimeLink),
+            fileSize: result.fileSize,
+            fileSizeFormatted: formatFileSize(result.fileSize),
+            message: result.message
+        });
+    } catch (error) {
+        if (partTitle) {
+            removePartialOutputs(partTitle);
+        }
+        if (isCancelled(job)) {
+            logger.info('Download job cancelled');
+            setJobStatus(job, 'cancelled', { queue: null, message: 'Download cancelled' });
+        } else {
+            logger.error('Download job failed', { error });
+            setJobStatus(job, 'failed', { error: error.message, errorStatus: error.statusCode });
         }
+    } finally {
+        releaseFiles();
+    }
+    return job;
+}
 
-        console.log(`Selected formats - Video: ${videoFormat.height}p (itag: ${videoFormat.itag}), Audio: ${audioFormat.audioBitrate}kbps (itag: ${audioFormat.itag})`);
+// Destroy a download stream when its job is cancelled. ytdl's streams
+// emit nothing when destroyed, so the error is emitted by hand to stop
+// whatever is reading them too.
+const destroyOnCancel = (job, source) => {
+    const stopListening = onJobCancel(job, () => {
+        source.destroy();
+        source.emit('error', new Error('Download cancelled'));
+    });
+    source.on('end', stopListening).on('error', stopListening);
+    return source;
+};
 
-        // Download video stream
-        console.log('Downloading video stream...');
-        const videoStream = ytdl(url, { 
-            format: videoFormat,
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
-            }
-        });
-        await pipeline(videoStream, fs.createWriteStream(tempVideoPath));
-        console.log('Video stream downloaded');
-        
-        // Download audio stream
-        console.log('Downloading audio stream...');
-        const audioStream = ytdl(url, { 
-            format: audioFormat,
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
-            }
+// Delete whatever a failed job left behind under its ".part" name
+const removePartialOutputs = (partTitle) => {
+    fs.readdirSync(downloadsDir)
+        .filter(file => file.startsWith(partTitle))
+        .forEach(file => {
+            fs.unlinkSync(path.join(downloadsDir, file));
+            logger.info('Removed partial output', { file });
         });
-        await pipeline(audioStream, fs.createWriteStream(tempAudioPath));
-        console.log('Audio stream downloaded');
+};
 
-        // Merge using ffmpeg
-        console.log('Starting merge with ffmpeg...');
-        ffmpeg()
-            .input(tempVideoPath)
-            .input(tempAudioPath)
-            .videoCodec('copy')
-            .audioCodec('aac')
-            .on('start', (commandLine) => {
-                console.log('FFmpeg started with command:', commandLine);
-            })
-            .on('progress', (progress) => {
-                console.log('Merging progress: ' + progress.percent + '% done');
-            })
-            .save(filepath)
-            .on('end', () => {
-                console.log('Merge completed successfully');
-                // Clean up temp files
-                if (fs.existsSync(tempVideoPath)) fs.unlinkSync(tempVideoPath);
-                if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath);
-                
-                const fileSize = fs.existsSync(filepath) ? fs.statSync(filepath).size : 0;
-                res.json({
-                    success: true,
-                    filename: filename,
-                    downloadUrl: `/downloads/${filename}`,
-                    message: `MP4 download completed successfully at ${videoFormat.height}p! (${formatFileSize(fileSize)})`,
-                    fileSize: fileSize,
-                    fileSizeFormatted: formatFileSize(fileSize),
-                    autoDownload: true // Flag to trigger automatic download in frontend
-                });
-            })
-            .on('error', (error) => {
-                console.error('Merge error:', error);
-                // Clean up temp files
-                if (fs.existsSync(tempVideoPath)) fs.unlinkSync(tempVideoPath);
-                if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath);
-                
-                res.status(500).json({ 
-                    error: 'Failed to merge video and audio',
-                    details: error.message 
-                });
-            });
+// Download one video in the job's output format
+const downloadInFormat = async (url, title, quality, info, job) => {
+    const result = getOutputFormat(job.format).kind === 'audio'
+        ? await downloadAudio(url, title, quality, info, job)
+        : await downloadVideo(url, title, quality, info, job);
+    await checkOutputFile(path.join(downloadsDir, result.filename));
+    return result;
+};
 
-    } catch (error) {
-        console.error('Download and merge error:', error);
-        // Clean up temp files
-        if (fs.existsSync(tempVideoPath)) fs.unlinkSync(tempVideoPath);
-        if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath);
-        
-        res.status(500).json({ 
-            error: 'Download and merge failed',
-            details: error.message 
-        });
+// ffmpeg can exit cleanly having written little more than headers, e.g.
+// when it couldn't demux its input. Throws unless the output has streams
+// and a length.
+const checkOutputFile = async (filepath) => {
+    const data = await new Promise((resolve, reject) => {
+        ffmpeg.ffprobe(filepath, (error, result) => error ? reject(error) : resolve(result));
+    }).catch(error => {
+        throw new Error(`The output can't be read: ${error.message.split('\n')[0]}`);
+    });
+    if (data.streams.length === 0 || !(parseFloat(data.format.duration) > 0)) {
+        throw new Error('The output is empty, ffmpeg could not read the source');
     }
-}
+};
 
-// Debug endpoint to see all available formats
-app.post('/api/debug-formats', async (req, res) => {
+// Look up the requested output format, defaulting to MP4. Throws a 400
+// error for formats the registry doesn't know.
+const resolveOutputFormat = (format = 'mp4') => {
+    const outputFormat = getOutputFormat(format);
+    if (!outputFormat) {
+        const error = new Error(`Unsupported format: ${format}. Use one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return outputFormat;
+};
+
+// Mux or burn a caption track into a finished video output
+const subtitleOutputFile = async (filename, track, job) => {
+    const filepath = path.join(downloadsDir, filename);
+    // Named after the cache key only: burning passes the path through a
+    // filter argument, where quotes in a title would need escaping
+    const subtitlePath = path.join(downloadsDir, `subs_${job.cacheKey}.part.srt`);
+    
     try {
-        const { url } = req.body;
-        
-        if (!ytdl.validateURL(url)) {
-            return res.status(400).json({ error: 'Invalid YouTube URL' });
+        let cues = await fetchCaptionCues(track);
+        if (job.clip) {
+            cues = shiftCues(cues, job.clip);
         }
-
-        const info = await getVideoInfoWithFallback(url, {
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-                }
-            }
-        });
+        fs.writeFileSync(subtitlePath, formatCues(cues, 'srt'));
         
-        const formats = info.formats.map(f => ({
-            itag: f.itag,
-            container: f.container,
-            quality: f.quality,
-            qualityLabel: f.qualityLabel,
-            height: f.height,
-            width: f.width,
-            fps: f.fps,
-            hasVideo: f.hasVideo,
-            hasAudio: f.hasAudio,
-            audioBitrate: f.audioBitrate,
-            audioSampleRate: f.audioSampleRate,
-            contentLength: f.contentLength,
-            mimeType: f.mimeType
-        }));
-
-        res.json({
-            title: info.videoDetails.title,
-            totalFormats: formats.length,
-            formats: formats
-        });
-
+        logger.info('Adding subtitles', { filename, language: track.languageCode, mode: job.subtitles.mode });
+        setJobStatus(job, 'converting');
+        await runJobTask(job, pools.ffmpeg, () => addSubtitles(filepath, getOutputFormat(job.format), subtitlePath, job.subtitles.mode, track));
     } catch (error) {
-        console.error('Debug formats error:', error);
-        res.status(500).json({ 
-            error: 'Failed to get format information',
-            details: error.message 
-        });
+        logger.error('Subtitle error', { filename, error });
+        throw new Error(`Failed to add subtitles: ${error.message}`);
+    } finally {
+        if (fs.existsSync(subtitlePath)) fs.unlinkSync(subtitlePath);
     }
-});
-
-// Clean up old files periodically (optional)
-setInterval(() => {
-    const files = fs.readdirSync(downloadsDir);
-    const now = Date.now();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+};
 
-    files.forEach(file => {
-        const filePath = path.join(downloadsDir, file);
-        const stats = fs.statSync(filePath);
+// Embed tags and cover art from the video details into a finished output,
+// returns the new file size. `defaults` only fill gaps, `overrides` win
+// over the client's own overrides.
+const tagOutputFile = async (filename, info, job, defaults = {}, overrides = {}) => {
+    const filepath = path.join(downloadsDir, filename);
+    const tags = buildMetadataTags(
+        info.videoDetails,
+        info.videoDetails.video_url || job.url,
+        defaults,
+        { ...job.metadata.overrides, ...overrides }
+    );
+    const coverUrl = job.metadata.coverArt ? getCoverUrl(info.videoDetails) : null;
+    
+    logger.info('Embedding metadata', { filename });
+    await runJobTask(job, pools.ffmpeg, () => embedMetadata(filepath, getOutputFormat(job.format), tags, coverUrl));
+    return getFileSize(filepath);
+};
+
+// Chapter ranges to split a video into: the client's split points if it
+// sent any, otherwise the video's own chapters
+const resolveChapterRanges = (info, splitPoints) => {
+    const chapters = splitPoints || getVideoChapters(info.videoDetails);
+    if (chapters.length === 0) {
+        const error = new Error('This video has no chapters. Pass chapters to split it at your own points');
+        error.statusCode = 400;
+        throw error;
+    }
+    return buildChapterRanges(chapters, info.videoDetails.lengthSeconds);
+};
+
+// Split a finished audio output into one tagged file per chapter and zip
+// them. The full-length file is removed afterwards.
+const splitOutputFile = async (filename, title, ranges, info, job) => {
+    const outputFormat = getOutputFormat(job.format);
+    const sourcePath = path.join(downloadsDir, filename);
+    const chapterFiles = [];
+    
+    try {
+        setJobStatus(job, 'converting');
+        logger.info('Splitting into chapters', { filename, chapters: ranges.length });
+        
+        const workBasename = path.basename(filename, outputFormat.extension);
+        
+        for (const chapter of ranges) {
+            const number = String(chapter.index).padStart(String(ranges.length).length, '0');
+            const chapterFilename = `${workBasename}_${number}${outputFormat.extension}`;
+            
+            await runJobTask(job, pools.ffmpeg, () => extractChapter(sourcePath, path.join(downloadsDir, chapterFilename), outputFormat, chapter));
+            chapterFiles.push({
+                file: chapterFilename,
+                name: `${title}_${number}_${sanitizeFilename(chapter.title)}${outputFormat.extension}`
+            });
+            
+            // Tag each chapter as a track of an album named after the video
+            chapter.filename = chapterFiles[chapterFiles.length - 1].name;
+            chapter.fileSize = job.metadata.embed
+                ? await tagOutputFile(chapterFilename, info, job, { album: info.videoDetails.title }, {
+                    title: chapter.title,
+                    track: `${chapter.index}/${ranges.length}`
+                })
+                : getFileSize(path.join(downloadsDir, chapterFilename));
+            
+            updateJobProgress(job, 'chapters', { completed: chapter.index, total: ranges.length });
+        }
+        
+        const zipFilename = `${workBasename}.zip`;
+        await createZipArchive(path.join(downloadsDir, zipFilename), chapterFiles);
+        updateJob(job, { items: ranges });
+        
+        const fileSize = getFileSize(path.join(downloadsDir, zipFilename));
+        return {
+            filename: zipFilename,
+            fileSize,
+            message: `${outputFormat.id.toUpperCase()} download split into ${ranges.length} chapters! (${formatFileSize(fileSize)})`
+        };
+    } catch (error) {
+        logger.error('Chapter split error', { filename, error });
+        throw new Error(`Failed to split by chapters: ${error.message}`);
+    } finally {
+        // The chapters live on in the archive
+        [filename, ...chapterFiles.map(chapterFile => chapterFile.file)].forEach(file => {
+            const filePath = path.join(downloadsDir, file);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+    }
+};
+
+// Playlists are capped so one request can't queue thousands of downloads
+const MAX_PLAYLIST_ITEMS = 100;
+
+// Parse a playlist duration like "1:02:03" into seconds
+const parseDuration = (duration) => {
+    if (!duration) return null;
+    return duration.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+};
+
+// Fetch a playlist and its entries in the metadata pool
+const getPlaylist = (url, limit, queueOptions = {}) => {
+    return pools.metadata.run(() => ytpl(url, {
+        limit: Math.min(parseInt(limit) || MAX_PLAYLIST_ITEMS, MAX_PLAYLIST_ITEMS),
+        requestOptions: {
+            headers: {
+                'User-Agent': config.userAgent,
+                'Accept-Language': 'en-US,en;q=0.9'
+            }
+        }
+    }), queueOptions);
+};
+
+// Playlist info endpoint
+// Lists the playlist entries. Each entry's available qualities are looked
+// up one video at a time, pass `qualities: false` to skip that.
+app.post('/api/playlist-info', async (req, res) => {
+    try {
+        const { url, limit, qualities = true } = req.body;
+        
+        if (!url || !ytpl.validateID(url)) {
+            return res.status(400).json({ error: 'Invalid YouTube playlist URL' });
+        }
+
+        const playlist = await getPlaylist(url, limit);
+        logger.info('Got playlist info', { title: playlist.title, entries: playlist.items.length });
+
+        const entries = [];
+        for (const [index, item] of playlist.items.entries()) {
+            const entry = {
+                index: index + 1,
+                id: item.id,
+                url: item.url_simple || item.url,
+                title: item.title,
+                author: item.author?.name,
+                duration: parseDuration(item.duration),
+                thumbnail: item.thumbnail
+            };
+            
+            if (qualities) {
+                try {
+                    const info = await getCachedVideoInfo(entry.url);
+                    entry.availableQualities = getAvailableQualities(info.formats);
+                    entry.availableFormats = getPossibleOutputFormats(info.formats).map(f => f.format);
+                } catch (error) {
+                    logger.warn('Could not get formats for playlist entry', { videoId: entry.id, error });
+                    entry.error = error.message;
+                }
+            }
+            entries.push(entry);
+        }
+
+        res.json({
+            id: playlist.id,
+            title: playlist.title,
+            author: playlist.author?.name,
+            totalItems: playlist.total_items,
+            entries
+        });
+
+    } catch (error) {
+        logger.error('Error getting playlist info', { url: req.body.url, error });
+        res.status(500).json({ 
+            error: 'Failed to get playlist information',
+            details: error.message 
+        });
+    }
+});
+
+// Playlist download endpoint
+// Downloads every entry as a background job and bundles the results in a
+// ZIP. Entries that fail are reported in the job's `items` and left out of
+// the archive.
+app.post('/api/playlist-download', (req, res) => {
+    const { url, format, quality = 'best', limit, oneTimeLink } = req.body;
+    
+    logger.info('Playlist download request', { url, format, quality, limit });
+    
+    if (!url || !ytpl.validateID(url)) {
+        return res.status(400).json({ error: 'Invalid YouTube playlist URL' });
+    }
+
+    let outputFormat;
+    let metadata;
+    try {
+        outputFormat = resolveOutputFormat(format);
+        metadata = parseMetadataOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    
+    if (!useDownloadQuota(req, res)) return;
+
+    const job = createJob({
+        type: 'playlist',
+        url,
+        format: outputFormat.id,
+        metadata,
+        quality,
+        limit,
+        oneTimeLink,
+        priority: 'low' // Behind single downloads
+    });
+    const clientId = req.client.id;
+    addJobClient(job, clientId);
+    withLogContext({ jobId: job.id }, () => runPlaylistJob(job)).then(() => {
+        if (job.status === 'done') recordBytes(clientId, job.fileSize);
+    });
+
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        message: 'Playlist download started'
+    });
+});
+
+// Download every playlist entry in turn, then zip the ones that succeeded.
+// Like runDownloadJob, failures end up on the job rather than rejecting.
+async function runPlaylistJob(job) {
+    const outputs = [];
+    let zipPartFilename = null;
+    let releaseFiles = () => {};
+    
+    try {
+        setJobStatus(job, 'fetching');
+        
+        const playlist = await getPlaylist(job.url, job.limit, queueOptionsFor(job, pools.metadata));
+        const playlistTitle = sanitizeFilename(playlist.title);
+        // Playlists change over time, so the key is unique to this job
+        // rather than derived from the request
+        const key = computeCacheKey({ playlist: playlist.id, job: job.id });
+        releaseFiles = holdFiles(key);
+        const padding = String(playlist.items.length).length;
+        const items = playlist.items.map((item, index) => ({
+            index: index + 1,
+            id: item.id,
+            url: item.url_simple || item.url,
+            title: item.title,
+            status: 'queued'
+        }));
+        updateJob(job, { title: playlist.title, items });
+        
+        for (const item of items) {
+            if (isCancelled(job)) {
+                throw new Error('Download cancelled');
+            }
+            setJobStatus(job, 'fetching');
+            updateJobProgress(job, 'playlist', {
+                current: item.index,
+                total: items.length,
+                completed: items.filter(i => i.status === 'done').length,
+                failed: items.filter(i => i.status === 'failed').length
+            });
+            
+            let itemPartTitle = null;
+            try {
+                const info = await getCachedVideoInfo(item.url, false, queueOptionsFor(job, pools.metadata));
+                const title = sanitizeFilename(info.videoDetails.title);
+                itemPartTitle = getPartBasename(title, item.id, key);
+                job.duration = parseInt(info.videoDetails.lengthSeconds) || null;
+                
+                const result = await runJobTask(job, pools.download, () => downloadInFormat(item.url, itemPartTitle, job.quality, info, job));
+                outputs.push(result.filename);
+                if (job.metadata.embed) {
+                    // Tag entries as tracks of an album named after the playlist
+                    result.fileSize = await tagOutputFile(result.filename, info, job, {
+                        album: playlist.title,
+                        track: `${item.index}/${items.length}`
+                    });
+                }
+                const name = `${String(item.index).padStart(padding, '0')}_${title}${getOutputFormat(job.format).extension}`;
+                Object.assign(item, { status: 'done', filename: name, workFilename: result.filename, fileSize: result.fileSize });
+            } catch (error) {
+                if (itemPartTitle && !outputs.some(file => file.startsWith(itemPartTitle))) {
+                    removePartialOutputs(itemPartTitle);
+                }
+                if (isCancelled(job)) {
+                    throw error;
+                }
+                logger.error('Playlist entry failed', { index: item.index, videoId: item.id, error });
+                Object.assign(item, { status: 'failed', error: error.message });
+            }
+        }
+        
+        const completed = items.filter(i => i.status === 'done').length;
+        const failed = items.length - completed;
+        updateJobProgress(job, 'playlist', { current: items.length, total: items.length, completed, failed });
+        
+        if (completed === 0) {
+            throw new Error('None of the playlist entries could be downloaded');
+        }
+        
+        setJobStatus(job, 'converting');
+        zipPartFilename = `${getPartBasename(playlistTitle, playlist.id, key)}.zip`;
+        await createZipArchive(
+            path.join(downloadsDir, zipPartFilename),
+            items.filter(i => i.status === 'done').map(i => ({ file: i.workFilename, name: i.filename }))
+        );
+        items.forEach(i => delete i.workFilename);
+        const fileSize = getFileSize(path.join(downloadsDir, zipPartFilename));
+        const filename = await commitOutput(key, zipPartFilename, { title: playlist.title, url: job.url });
+        onOutputCommitted(filename);
         
-        if (now - stats.mtime.getTime() > maxAge) {
-            fs.unlinkSync(filePath);
-            console.log(`Cleaned up old file: ${file}`);
+        setJobStatus(job, 'done', {
+            filename,
+            downloadUrl: getOutputUrl(filename, job.oneTimeLink),
+            fileSize,
+            fileSizeFormatted: formatFileSize(fileSize),
+            message: `Playlist download completed: ${completed} of ${items.length} entries (${formatFileSize(fileSize)})`
+        });
+    } catch (error) {
+        if (zipPartFilename && fs.existsSync(path.join(downloadsDir, zipPartFilename))) {
+            fs.unlinkSync(path.join(downloadsDir, zipPartFilename));
         }
+        if (isCancelled(job)) {
+            logger.info('Playlist job cancelled');
+            setJobStatus(job, 'cancelled', { queue: null, message: 'Playlist download cancelled' });
+        } else {
+            logger.error('Playlist job failed', { error });
+            setJobStatus(job, 'failed', { error: error.message });
+        }
+    } finally {
+        // The entries live on in the archive
+        outputs.forEach(file => {
+            const filePath = path.join(downloadsDir, file);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+        releaseFiles();
+    }
+    return job;
+}
+
+// Bundle files from the downloads directory into a ZIP. Media is already
+// compressed, so entries are stored rather than deflated. Entries are
+// filenames, or { file, name } to store a file under another name.
+const createZipArchive = (zipPath, entries) => {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(zipPath);
+        const archive = archiver('zip', { store: true });
+        
+        output.on('close', resolve);
+        archive.on('error', reject);
+        archive.on('warning', (warning) => {
+            logger.warn('Archive warning', { error: warning });
+        });
+        
+        archive.pipe(output);
+        entries.forEach(entry => {
+            const { file, name } = typeof entry === 'string' ? { file: entry, name: entry } : entry;
+            archive.file(path.join(downloadsDir, file), { name });
+        });
+        archive.finalize();
+    });
+};
+
+// How often progress updates are published per stream
+const PROGRESS_INTERVAL = 500;
+
+// Publish bytes downloaded / total bytes of a ytdl stream on the job
+const trackStreamProgress = (job, ytdlStream, key) => {
+    let lastUpdate = 0;
+    ytdlStream.on('progress', (chunkLength, downloaded, total) => {
+        const now = Date.now();
+        if (now - lastUpdate < PROGRESS_INTERVAL && downloaded < total) return;
+        lastUpdate = now;
+        updateJobProgress(job, key, {
+            downloadedBytes: downloaded,
+            totalBytes: total,
+            percent: total ? Math.round(downloaded / total * 1000) / 10 : null
+        });
     });
-}, 60 * 60 * 1000); // Run every hour
+    return ytdlStream;
+};
+
+// Convert an ffmpeg timemark (hh:mm:ss.xx) to seconds
+const timemarkToSeconds = (timemark) => {
+    if (!timemark) return 0;
+    return timemark.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
+// Run an ffmpeg command in the ffmpeg pool, settling when it finishes.
+// The job moves to the converting state once ffmpeg has started, and
+// ffmpeg progress is published on the job with percent and ETA. ffmpeg
+// can't tell the length of piped input, so percent is worked out from the
+// video duration when it doesn't report one. `command` can also be a
+// function that builds the command; it's called once there's a worker, for
+// commands that read a source stream, which shouldn't be opened while the
+// command waits in the queue.
+const runFfmpeg = (command, filepath, job, label) => {
+    return runJobTask(job, pools.ffmpeg, () => new Promise((resolve, reject) => {
+        if (typeof command === 'function') command = command();
+        
+        let startedAt = null;
+        let lastUpdate = 0;
+        let endTimer = null;
+        
+        // ffmpeg is started asynchronously, so a cancel can come before
+        // there's a process to kill; 'start' checks again
+        const kill = () => command.kill('SIGKILL');
+        const stopListening = onJobCancel(job, kill);
+        
+        command
+            .on('start', (commandLine) => {
+                if (isCancelled(job)) return kill();
+                logger.debug('FFmpeg started', { command: commandLine });
+                startedAt = Date.now();
+                endTimer = ffmpegDuration.startTimer({ format: job.format });
+                setJobStatus(job, 'converting');
+            })
+            .on('progress', (progress) => {
+                let percent = progress.percent;
+                if (!percent && job.duration) {
+                    percent = timemarkToSeconds(progress.timemark) / job.duration * 100;
+                }
+                percent = percent ? Math.min(Math.round(percent * 10) / 10, 100) : null;
+                
+                const now = Date.now();
+                if (now - lastUpdate < PROGRESS_INTERVAL) return;
+                lastUpdate = now;
+                logger.debug(label, { percent, timemark: progress.timemark });
+                
+                const elapsed = (now - startedAt) / 1000;
+                updateJobProgress(job, 'ffmpeg', {
+                    percent,
+                    timemark: progress.timemark,
+                    etaSeconds: percent ? Math.round(elapsed * (100 - percent) / percent) : null
+                });
+            })
+            .on('end', (stdout, stderr) => {
+                stopListening();
+                endTimer?.({ result: 'success' });
+                updateJobProgress(job, 'ffmpeg', { percent: 100, etaSeconds: 0 });
+                resolve(stderr);
+            })
+            .on('error', (error) => {
+                stopListening();
+                endTimer?.({ result: isCancelled(job) ? 'cancelled' : 'failed' });
+                reject(error);
+            })
+            .save(filepath);
+    }));
+};
+
+// Add a format's stream URL as an ffmpeg input, seeked to the clip start.
+// Input options for ffmpeg reading a format's URL itself. Local files
+// need none.
+const getUrlInputOptions = (format) => {
+    if (!/^https?:/.test(format.url)) return [];
+    // Only http(s), whatever an HLS playlist or the like points to
+    return [
+        '-headers', `User-Agent: ${config.userAgent}\r\n`,
+        '-protocol_whitelist', 'http,https,tcp,tls'
+    ];
+};
+
+// Add a format's URL (or local path) as an ffmpeg input
+const addUrlInput = (command, format) => {
+    return command.input(format.url).inputOptions(getUrlInputOptions(format));
+};
+
+// ffmpeg seeks over HTTP with range requests, so only the clip itself is
+// fetched instead of the whole video. Local files are read directly.
+const addClipInput = (command, format, clip) => {
+    return addUrlInput(command, format).seekInput(clip.start);
+};
+
+// Direct media is given to ffmpeg by path or URL rather than piped in:
+// ffmpeg can't demux files with their index at the end (MP4 with moov
+// last) from a pipe. YouTube's formats are always streamed.
+const readsSourceItself = (info) => info.extractor === 'direct';
+
+// Cut the output to the clip length. "fast" copies the streams and starts
+// on the keyframe at or before the start time, "accurate" re-encodes so
+// the clip starts on the exact frame.
+const applyClipOutput = (command, clip, outputFormat) => {
+    command.duration(clip.duration);
+    if (clip.mode === 'fast') {
+        return command
+            .videoCodec('copy')
+            .outputOptions(['-avoid_negative_ts', 'make_zero']);
+    }
+    command.videoCodec(outputFormat.videoCodec);
+    if (outputFormat.videoCodec === 'libx264') {
+        command.outputOptions(['-preset', 'veryfast', '-crf', '20']);
+    }
+    return command;
+};
+
+// Size of a finished output file, 0 if it is missing
+const getFileSize = (filepath) => {
+    return fs.existsSync(filepath) ? fs.statSync(filepath).size : 0;
+};
+
+// Pick the source formats to build an output from: the ones that can be
+// stream copied if there are any, otherwise everything the format's rule
+// allows re-encoding from
+const preferRemuxable = (outputFormat, formats, canCopy) => {
+    const copyable = formats.filter(f => canCopy(outputFormat, f));
+    if (copyable.length > 0 || outputFormat.rule === 'remux') return copyable;
+    return formats;
+};
+
+// Target video height from a quality like "1080p", null for "best"
+const parseTargetHeight = (quality) => {
+    if (quality !== 'best' && quality.includes('p')) {
+        return parseInt(quality.replace('p', ''));
+    }
+    return null;
+};
+
+// Audio bitrate in kbps to encode at: the requested "192kbps" style
+// quality, or the format's default (which DEFAULT_AUDIO_BITRATES can
+// change). null for lossless formats.
+const getAudioBitrate = (outputFormat, quality) => {
+    if (outputFormat.lossless) return null;
+    if (quality !== 'best' && quality.includes('kbps')) {
+        return parseInt(quality.replace('kbps', ''));
+    }
+    return config.audio.defaultBitrates[outputFormat.id] ?? outputFormat.defaultBitrate;
+};
+
+// Pick the format at the target height, or the closest one below it, or
+// the highest one when there's no target
+const pickByHeight = (formats, targetHeight) => {
+    const sorted = [...formats].sort((a, b) => b.height - a.height);
+    if (!targetHeight) return sorted[0];
+    return sorted.find(f => f.height === targetHeight) || sorted.find(f => f.height <= targetHeight);
+};
+
+// Pick the audio-only source for an audio output. Throws if there is none.
+const selectAudioFormat = (outputFormat, formats) => {
+    const label = outputFormat.id.toUpperCase();
+    
+    // Get the audio-only formats this output can be made from
+    const audioFormats = preferRemuxable(
+        outputFormat,
+        formats.filter(f => !f.hasVideo && f.hasAudio && f.audioBitrate && f.contentLength),
+        canRemux
+    );
+    
+    logger.debug(`Available audio formats for ${label}`, {
+        formats: audioFormats.map(f => ({
+            audioBitrate: f.audioBitrate,
+            audioSampleRate: f.audioSampleRate,
+            audioCodec: f.audioCodec,
+            itag: f.itag,
+            container: f.container
+        }))
+    });
+    
+    if (audioFormats.length === 0) {
+        throw new Error(`No audio formats available for ${label}`);
+    }
+    
+    // Select the best audio format
+    return audioFormats.sort((a, b) => b.audioBitrate - a.audioBitrate)[0];
+};
+
+// Pick a single source with both video and audio whose streams can go into
+// the output container as they are. Returns undefined if there is none.
+const selectCombinedFormat = (outputFormat, formats, quality) => {
+    const targetHeight = parseTargetHeight(quality);
+    
+    const videoWithAudioFormats = formats.filter(f => 
+        f.hasVideo && f.hasAudio && f.height && f.contentLength &&
+        canCopyVideo(outputFormat, f) && canCopyAudio(outputFormat, f)
+    );
+    
+    logger.debug('Available video+audio formats', {
+        targetHeight,
+        formats: videoWithAudioFormats.map(f => ({
+            height: f.height,
+            quality: f.quality,
+            qualityLabel: f.qualityLabel,
+            itag: f.itag,
+            container: f.container
+        }))
+    });
+    
+    const selectedFormat = pickByHeight(videoWithAudioFormats, targetHeight);
+    logger.debug('Single stream match', { found: !!selectedFormat, height: selectedFormat?.height });
+    return selectedFormat;
+};
+
+// Shorter side of a video format, which transcode.maxResolution limits
+const getShortSide = (format) => format.width ? Math.min(format.width, format.height) : format.height;
+
+// Video sources no bigger than a transcode's maxResolution, so nothing
+// larger is downloaded only to be scaled down. The smallest source when
+// they're all bigger.
+const capSourceResolution = (formats, maxResolution) => {
+    if (!maxResolution || formats.length === 0) return formats;
+    const fitting = formats.filter(f => getShortSide(f) <= maxResolution);
+    if (fitting.length > 0) return fitting;
+    const smallest = Math.min(...formats.map(getShortSide));
+    return formats.filter(f => getShortSide(f) === smallest);
+};
+
+// Pick separate video-only and audio-only sources to merge, preferring
+// ones that needn't be re-encoded. When the video is transcoded (`transcode`
+// is the job's options) any video source up to its maxResolution will do.
+// Throws if either is missing.
+const selectMergeFormats = (outputFormat, formats, quality, transcode = null) => {
+    const label = outputFormat.id.toUpperCase();
+    
+    const videoSources = formats.filter(f => f.hasVideo && !f.hasAudio && f.height && f.contentLength);
+    const videoOnlyFormats = transcode
+        ? capSourceResolution(videoSources, transcode.maxResolution)
+        : preferRemuxable(outputFormat, videoSources, canCopyVideo);
+    
+    logger.debug('Available video-only formats', {
+        formats: videoOnlyFormats.map(f => ({
+            height: f.height,
+            quality: f.quality,
+            qualityLabel: f.qualityLabel,
+            videoCodec: f.videoCodec,
+            itag: f.itag,
+            container: f.container
+        }))
+    });
+    
+    const videoFormat = pickByHeight(videoOnlyFormats, parseTargetHeight(quality));
+
+    const audioOnlyFormats = formats.filter(f => 
+        !f.hasVideo && f.hasAudio && f.audioBitrate && f.contentLength
+    );
+    const copyableAudioFormats = audioOnlyFormats.filter(f => canCopyAudio(outputFormat, f));
+    
+    logger.debug('Available audio-only formats', {
+        formats: audioOnlyFormats.map(f => ({
+            audioBitrate: f.audioBitrate,
+            audioSampleRate: f.audioSampleRate,
+            audioCodec: f.audioCodec,
+            itag: f.itag,
+            container: f.container
+        }))
+    });
+    
+    const audioFormat = (copyableAudioFormats.length > 0 ? copyableAudioFormats : audioOnlyFormats)
+        .sort((a, b) => b.audioBitrate - a.audioBitrate)[0];
+
+    if (!videoFormat || !audioFormat) {
+        throw new Error(`Could not find suitable formats for ${label}. Video: ${!!videoFormat}, Audio: ${!!audioFormat}`);
+    }
+    return { videoFormat, audioFormat };
+};
+
+// Work out how to stream an output: which source formats to read and the
+// ffmpeg output arguments, or null arguments when a source can be sent
+// as it is
+const planStream = (outputFormat, formats, quality) => {
+    const finishArgs = (args) => [
+        ...args,
+        '-f', outputFormat.container,
+        ...(outputFormat.pipeOptions || [])
+    ];
+
+    if (outputFormat.kind === 'audio') {
+        const source = selectAudioFormat(outputFormat, formats);
+        const bitrate = getAudioBitrate(outputFormat, quality);
+        const codecArgs = canRemux(outputFormat, source)
+            ? ['-c:a', 'copy']
+            : ['-c:a', outputFormat.audioCodec, ...(bitrate ? ['-b:a', `${bitrate}k`] : [])];
+        return {
+            sources: [source],
+            args: finishArgs(['-map', '0:a:0', '-vn', ...codecArgs])
+        };
+    }
+
+    const combined = selectCombinedFormat(outputFormat, formats, quality);
+    if (combined) {
+        return {
+            sources: [combined],
+            args: combined.container === outputFormat.container
+                ? null
+                : finishArgs(['-map', '0:v:0', '-map', '0:a:0', '-c', 'copy'])
+        };
+    }
+
+    const { videoFormat, audioFormat } = selectMergeFormats(outputFormat, formats, quality);
+    const videoCodec = canCopyVideo(outputFormat, videoFormat) ? 'copy' : outputFormat.videoCodec;
+    const audioCodec = canCopyAudio(outputFormat, audioFormat) ? 'copy' : outputFormat.audioCodec;
+    return {
+        sources: [videoFormat, audioFormat],
+        args: finishArgs(['-map', '0:v:0', '-map', '1:a:0', '-c:v', videoCodec, '-c:a', audioCodec])
+    };
+};
+
+// Sample rate to resample filtered audio back to: the source's, if the
+// output format takes it, otherwise 48 kHz
+const getFilterSampleRate = (outputFormat, source) => {
+    const sourceRate = parseInt(source.audioSampleRate);
+    if (sourceRate && (!outputFormat.sampleRates || outputFormat.sampleRates.includes(sourceRate))) {
+        return sourceRate;
+    }
+    return 48000;
+};
+
+// First pass of the audio filters: measure loudness, find silence and the
+// exact length, without writing anything. `addInput` adds the source.
+const analyzeAudio = async (addInput, filters, job) => {
+    // Silence is logged as it's found, so keep all of ffmpeg's output
+    let stderr;
+    try {
+        stderr = await runFfmpeg(
+            addInput(ffmpeg({ stdoutLines: 0 }))
+                .noVideo()
+                .audioFilters(buildAnalysisFilters(filters))
+                .format('null'),
+            '-',
+            job,
+            'Analyzing audio'
+        );
+    } catch (error) {
+        throw new Error(`Failed to analyze audio: ${error.message}`);
+    }
+    const analysis = parseAudioAnalysis(stderr, filters);
+    logger.info('Analyzed audio', analysis);
+    return analysis;
+};
+
+// Encode the video as planVideoEncode planned it, with the audio alongside.
+// `addInputs` makes a command with the video as input 0 and the audio as
+// input 1; it's called once per pass. A two-pass encode's first pass only
+// writes the statistics the second one works from.
+const transcodeVideo = async (addInputs, plan, outputFormat, audioCodec, filepath, job) => {
+    const logPrefix = `${filepath}.2pass`;
+    const encode = (pass) => {
+        const command = addInputs(ffmpeg())
+            .videoCodec(plan.encoder)
+            .outputOptions(plan.outputOptions);
+        if (plan.filters.length) command.videoFilters(plan.filters);
+        if (plan.passes > 1) command.outputOptions(getPassOptions(plan.encoder, pass, logPrefix));
+        return command;
+    };
+
+    try {
+        if (plan.passes > 1) {
+            await runFfmpeg(
+                encode(1)
+                    .outputOptions(['-map', '0:v:0'])
+                    .noAudio()
+                    .format('null'),
+                '-',
+                job,
+                'First pass progress'
+            );
+        }
+        const command = encode(plan.passes)
+            .audioCodec(audioCodec)
+            .outputOptions(['-map', '0:v:0', '-map', '1:a:0'])
+            .format(outputFormat.container);
+        if (plan.audioBitrate) command.audioBitrate(plan.audioBitrate);
+        await runFfmpeg(command, filepath, job, 'Transcoding progress');
+    } finally {
+        // Encoders add their own suffixes to the statistics files
+        const logName = path.basename(logPrefix);
+        for (const name of fs.readdirSync(path.dirname(filepath))) {
+            if (name.startsWith(logName)) fs.rmSync(path.join(path.dirname(filepath), name), { force: true });
+        }
+    }
+};
+
+// Audio Download function (mp3, m4a, opus, flac, wav)
+async function downloadAudio(url, title, quality, info, job) {
+    const { clip, audioFilters } = job;
+    const outputFormat = getOutputFormat(job.format);
+    const label = outputFormat.id.toUpperCase();
+    const filename = `${title}${outputFormat.extension}`;
+    const filepath = path.join(downloadsDir, filename);
+    
+    const bestAudioFormat = selectAudioFormat(outputFormat, info.formats);
+    // Filtered audio is always re-encoded
+    const remux = !audioFilters && canRemux(outputFormat, bestAudioFormat);
+    logger.info(`Starting ${label} download`, {
+        itag: bestAudioFormat.itag,
+        audioBitrate: bestAudioFormat.audioBitrate,
+        mode: remux ? 'remux' : 'transcode'
+    });
+    
+    // Filters that need an analysis pass read the source twice, so a
+    // streamed source is saved to a temp file first
+    const twoPass = audioFilters && needsAnalysis(audioFilters);
+    const tempAudioPath = path.join(downloadsDir, `${title}_temp_audio.${bestAudioFormat.container || 'tmp'}`);
+    
+    try {
+        let addInput;
+        if (clip) {
+            // Let ffmpeg fetch just the clip from the stream URL. The clip
+            // length limits the input, since speed changes the output's.
+            logger.info('Extracting clip', { start: clip.start, end: clip.end });
+            addInput = (command) => addClipInput(command, bestAudioFormat, clip)
+                .inputOptions(['-t', String(clip.duration)]);
+        } else if (readsSourceItself(info)) {
+            addInput = (command) => addUrlInput(command, bestAudioFormat);
+        } else if (twoPass) {
+            logger.debug('Downloading audio stream for analysis');
+            const audioStream = createSourceStream(info, bestAudioFormat);
+            trackStreamProgress(job, destroyOnCancel(job, audioStream), 'audio');
+            await pipeline(audioStream, fs.createWriteStream(tempAudioPath));
+            addInput = (command) => command.input(tempAudioPath);
+        } else {
+            // Get audio stream with specific format, once ffmpeg has a worker
+            addInput = (command) => {
+                const audioStream = createSourceStream(info, bestAudioFormat);
+                trackStreamProgress(job, destroyOnCancel(job, audioStream), 'audio');
+                return command.input(audioStream);
+            };
+        }
+        
+        let filters = null;
+        if (audioFilters) {
+            const analysis = twoPass ? await analyzeAudio(addInput, audioFilters, job) : null;
+            filters = buildAudioFilters(audioFilters, analysis, getFilterSampleRate(outputFormat, bestAudioFormat));
+            logger.debug('Applying audio filters', { filters });
+        }
+        
+        const buildCommand = () => {
+            const command = addInput(ffmpeg()).noVideo();
+        
+            if (remux) {
+                command.audioCodec('copy');
+            } else {
+                command.audioCodec(outputFormat.audioCodec);
+                
+                // Lossless formats don't have a bitrate
+                const bitrate = getAudioBitrate(outputFormat, quality);
+                if (bitrate) {
+                    logger.debug(`Converting to ${label}`, { bitrate });
+                    command.audioBitrate(bitrate);
+                }
+            }
+            if (filters) command.audioFilters(filters);
+            return command.format(outputFormat.container);
+        };
+    
+        // Convert using ffmpeg
+        try {
+            await runFfmpeg(buildCommand, filepath, job, 'Processing');
+        } catch (error) {
+            logger.error('FFmpeg error', { error });
+            throw new Error(`Failed to convert to ${label}: ${error.message}`);
+        }
+    } finally {
+        if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath);
+    }
+
+    logger.info(`${label} conversion completed`, { filename });
+    const fileSize = getFileSize(filepath);
+    return {
+        filename,
+        fileSize,
+        message: `${label} download completed successfully! (${formatFileSize(fileSize)})`
+    };
+}
+
+// Video Download function (mp4, webm, mkv)
+// Uses a single stream with both video and audio when one can be copied
+// into the output, and falls back to downloading and merging otherwise.
+async function downloadVideo(url, title, quality, info, job) {
+    const { clip } = job;
+    const outputFormat = getOutputFormat(job.format);
+    const label = outputFormat.id.toUpperCase();
+    const filename = `${title}${outputFormat.extension}`;
+    const filepath = path.join(downloadsDir, filename);
+    
+    // Try to find a single format with both video and audio. Transcoding
+    // always goes through the merge, which does the encoding.
+    const selectedFormat = job.transcode ? null : selectCombinedFormat(outputFormat, info.formats, quality);
+
+    if (!selectedFormat) {
+        // No single format found, need to merge video and audio
+        logger.info(`Starting ${label} download, merging separate streams`, { quality });
+        return downloadAndMergeVideo(url, title, quality, info, job);
+    }
+
+    logger.info(`Starting ${label} download from a single stream`, {
+        quality,
+        height: selectedFormat.height,
+        container: selectedFormat.container,
+        itag: selectedFormat.itag
+    });
+    
+    try {
+        if (clip) {
+            logger.info('Extracting clip', { mode: clip.mode, start: clip.start, end: clip.end });
+            const command = addClipInput(ffmpeg(), selectedFormat, clip);
+            await runFfmpeg(
+                applyClipOutput(command, clip, outputFormat)
+                    .audioCodec(clip.mode === 'fast' ? 'copy' : outputFormat.audioCodec)
+                    .format(outputFormat.container),
+                filepath,
+                job,
+                'Clipping progress'
+            );
+        } else {
+            const openStream = () => {
+                const videoStream = createSourceStream(info, selectedFormat);
+                trackStreamProgress(job, destroyOnCancel(job, videoStream), 'video');
+                return videoStream;
+            };
+
+            if (selectedFormat.container === outputFormat.container) {
+                const writeStream = fs.createWriteStream(filepath);
+                await pipeline(openStream(), writeStream);
+            } else {
+                // Same streams, different container. The source is opened
+                // once ffmpeg has a worker.
+                await runFfmpeg(
+                    () => (readsSourceItself(info) ? addUrlInput(ffmpeg(), selectedFormat) : ffmpeg(openStream()))
+                        .videoCodec('copy')
+                        .audioCodec('copy')
+                        .format(outputFormat.container),
+                    filepath,
+                    job,
+                    'Remuxing progress'
+                );
+            }
+        }
+    } catch (streamError) {
+        if (isCancelled(job)) {
+            throw streamError;
+        }
+        logger.warn('Stream download failed, falling back to merging', { error: streamError });
+        return downloadAndMergeVideo(url, title, quality, info, job);
+    }
+
+    logger.info('Single stream download completed', { filename });
+    const fileSize = getFileSize(filepath);
+    return {
+        filename,
+        fileSize,
+        message: `${label} download completed successfully at ${selectedFormat.height}p! (${formatFileSize(fileSize)})`
+    };
+}
+
+// Download the video and audio sources of a merge to temp files
+const downloadMergeSources = async (info, videoFormat, audioFormat, videoPath, audioPath, job) => {
+    // Download video stream
+    logger.debug('Downloading video stream');
+    const videoStream = createSourceStream(info, videoFormat);
+    trackStreamProgress(job, destroyOnCancel(job, videoStream), 'video');
+    await pipeline(videoStream, fs.createWriteStream(videoPath));
+    logger.debug('Video stream downloaded');
+    
+    // Download audio stream
+    logger.debug('Downloading audio stream');
+    const audioStream = createSourceStream(info, audioFormat);
+    trackStreamProgress(job, destroyOnCancel(job, audioStream), 'audio');
+    await pipeline(audioStream, fs.createWriteStream(audioPath));
+    logger.debug('Audio stream downloaded');
+};
+
+// Download and merge video (for higher quality videos), transcoding the
+// video when the job asks for it
+async function downloadAndMergeVideo(url, title, quality, info, job) {
+    const { clip, transcode } = job;
+    const outputFormat = getOutputFormat(job.format);
+    const label = outputFormat.id.toUpperCase();
+    const filename = `${title}${outputFormat.extension}`;
+    const filepath = path.join(downloadsDir, filename);
+    const tempVideoPath = path.join(downloadsDir, `${title}_temp_video.mp4`);
+    const tempAudioPath = path.join(downloadsDir, `${title}_temp_audio.mp4`);
+    
+    const cleanupTempFiles = () => {
+        if (fs.existsSync(tempVideoPath)) fs.unlinkSync(tempVideoPath);
+        if (fs.existsSync(tempAudioPath)) fs.unlinkSync(tempAudioPath);
+    };
+    
+    try {
+        const { videoFormat, audioFormat } = selectMergeFormats(outputFormat, info.formats, quality, transcode);
+
+        // job.duration is the clip's length for clips
+        const plan = transcode
+            ? planVideoEncode(transcode, await resolveEncoder(transcode.codec), outputFormat, job.duration)
+            : null;
+        const videoCodec = plan ? plan.encoder : canCopyVideo(outputFormat, videoFormat) ? 'copy' : outputFormat.videoCodec;
+        // A set audio bitrate means re-encoding the audio
+        const audioCodec = canCopyAudio(outputFormat, audioFormat) && !plan?.audioBitrate ? 'copy' : outputFormat.audioCodec;
+
+        logger.info('Selected formats to merge', {
+            video: { height: videoFormat.height, itag: videoFormat.itag, codec: videoCodec },
+            audio: { audioBitrate: audioFormat.audioBitrate, itag: audioFormat.itag, codec: audioCodec }
+        });
+
+        if (plan) {
+            logger.info('Transcoding video', { codec: transcode.codec, ...plan });
+            if (clip) {
+                logger.info('Extracting clip', { start: clip.start, end: clip.end });
+            } else {
+                await downloadMergeSources(info, videoFormat, audioFormat, tempVideoPath, tempAudioPath, job);
+            }
+            const addInputs = clip
+                ? (command) => addClipInput(addClipInput(command, videoFormat, clip), audioFormat, clip).duration(clip.duration)
+                : (command) => command.input(tempVideoPath).input(tempAudioPath);
+            try {
+                await transcodeVideo(addInputs, plan, outputFormat, audioCodec, filepath, job);
+            } catch (error) {
+                logger.error('Transcode error', { error });
+                throw new Error(`Failed to transcode video: ${error.message}`);
+            }
+
+            const fileSize = getFileSize(filepath);
+            return {
+                filename,
+                fileSize,
+                message: `${label} ${clip ? 'clip' : 'download'} completed successfully, transcoded to ${transcode.codec}! (${formatFileSize(fileSize)})`
+            };
+        }
+
+        if (clip) {
+            // Both inputs are seeked over HTTP, no temp files needed
+            logger.info('Extracting clip and merging', { mode: clip.mode, start: clip.start, end: clip.end });
+            const command = addClipInput(addClipInput(ffmpeg(), videoFormat, clip), audioFormat, clip);
+            try {
+                await runFfmpeg(
+                    applyClipOutput(command, clip, outputFormat)
+                        .audioCodec(audioCodec)
+                        .outputOptions(['-map', '0:v:0', '-map', '1:a:0'])
+                        .format(outputFormat.container),
+                    filepath,
+                    job,
+                    'Clipping progress'
+                );
+            } catch (error) {
+                logger.error('Merge error', { error });
+                throw new Error(`Failed to merge video and audio: ${error.message}`);
+            }
+            
+            const fileSize = getFileSize(filepath);
+            return {
+                filename,
+                fileSize,
+                message: `${label} clip completed successfully at ${videoFormat.height}p! (${formatFileSize(fileSize)})`
+            };
+        }
+
+        await downloadMergeSources(info, videoFormat, audioFormat, tempVideoPath, tempAudioPath, job);
+
+        // Merge using ffmpeg
+        logger.debug('Merging with ffmpeg');
+        try {
+            await runFfmpeg(
+                ffmpeg()
+                    .input(tempVideoPath)
+                    .input(tempAudioPath)
+                    .videoCodec(videoCodec)
+                    .audioCodec(audioCodec)
+                    .outputOptions(['-map', '0:v:0', '-map', '1:a:0'])
+                    .format(outputFormat.container),
+                filepath,
+                job,
+                'Merging progress'
+            );
+        } catch (error) {
+            logger.error('Merge error', { error });
+            throw new Error(`Failed to merge video and audio: ${error.message}`);
+        }
+
+        logger.info('Merge completed', { filename });
+        const fileSize = getFileSize(filepath);
+        return {
+            filename,
+            fileSize,
+            message: `${label} download completed successfully at ${videoFormat.height}p! (${formatFileSize(fileSize)})`
+        };
+
+    } catch (error) {
+        logger.error('Download and merge error', { error });
+        throw error;
+    } finally {
+        // Clean up temp files
+        cleanupTempFiles();
+    }
+}
+
+// Sweep old outputs and leftovers periodically
+setInterval(async () => {
+    try {
+        await sweepStorage();
+    } catch (error) {
+        logger.error('Retention sweep failed', { error });
+    }
+
+    pruneRateLimits();
+
+    const prunedJobs = pruneJobs(config.cleanup.maxAgeHours * 60 * 60 * 1000);
+    if (prunedJobs > 0) {
+        logger.info('Pruned finished jobs', { count: prunedJobs });
+    }
+}, config.cleanup.intervalMinutes * 60 * 1000);
+
+// Errors not handled by a route, e.g. malformed JSON bodies
+app.use((error, req, res, next) => {
+    const statusCode = error.statusCode || error.status || 500;
+    if (statusCode >= 500) {
+        logger.error('Unhandled error', { error });
+    }
+    if (res.headersSent) {
+        return res.destroy(error);
+    }
+    res.status(statusCode).json({ error: statusCode >= 500 ? 'Internal server error' : error.message });
+});
 
 app.listen(PORT, () => {
-    console.log(`YouTube Downloader server running on port ${PORT}`);
-    console.log(`Downloads will be saved to: ${downloadsDir}`);
+    logger.info(`YouTube Downloader server running on port ${PORT}`, { port: PORT, downloadsDir, logLevel: getLogLevel() });
 });
\ No newline at end of file
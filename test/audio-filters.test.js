@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getOutputFormat } = require('../lib/formats');
+const {
+    parseAudioFilterOptions,
+    checkAudioFilters,
+    needsAnalysis,
+    buildAnalysisFilters,
+    parseAudioAnalysis,
+    buildAudioFilters
+} = require('../lib/audio-filters');
+
+const LOUDNORM_JSON = `[Parsed_loudnorm_1 @ 0x1]
+{
+	"input_i" : "-23.51",
+	"input_tp" : "-4.20",
+	"input_lra" : "6.70",
+	"input_thresh" : "-34.02",
+	"output_i" : "-16.01",
+	"output_tp" : "-1.50",
+	"output_lra" : "5.10",
+	"output_thresh" : "-26.50",
+	"normalization_type" : "dynamic",
+	"target_offset" : "0.01"
+}`;
+
+test('no filters means null', () => {
+    assert.equal(parseAudioFilterOptions({}), null);
+    assert.equal(parseAudioFilterOptions({ audioFilters: {} }), null);
+    assert.equal(parseAudioFilterOptions({ audioFilters: { speed: 1, mono: false } }), null);
+});
+
+test('true picks the defaults, objects override some of them', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { normalize: true, trimSilence: { threshold: -40 }, fadeIn: 2 } });
+    assert.deepEqual(filters.normalize, { targetLufs: -16, truePeak: -1.5, loudnessRange: 11 });
+    assert.deepEqual(filters.trimSilence, { threshold: -40, minDuration: 0.5 });
+    assert.equal(filters.fadeIn, 2);
+    assert.equal(filters.speed, null);
+});
+
+test('invalid options are rejected with 400', () => {
+    const invalid = [
+        'loud',
+        { louder: true },
+        { speed: 8 },
+        { fadeOut: 61 },
+        { mono: 'yes' },
+        { sampleRate: 44000 },
+        { normalize: { targetLufs: 0 } },
+        { trimSilence: { gap: 1 } }
+    ];
+    for (const audioFilters of invalid) {
+        assert.throws(() => parseAudioFilterOptions({ audioFilters }), { statusCode: 400 }, JSON.stringify(audioFilters));
+    }
+});
+
+test('filters are only for audio formats and sample rates the format takes', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { sampleRate: 44100 } });
+    assert.throws(() => checkAudioFilters(filters, getOutputFormat('mp4')), { statusCode: 400 });
+    assert.throws(() => checkAudioFilters(filters, getOutputFormat('opus')), /opus doesn't support a sample rate of 44100/);
+    assert.doesNotThrow(() => checkAudioFilters(filters, getOutputFormat('mp3')));
+});
+
+test('the analysis pass measures what the encoding pass needs', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { normalize: true, trimSilence: true, mono: true } });
+    assert.equal(needsAnalysis(filters), true);
+    assert.deepEqual(buildAnalysisFilters(filters), [
+        'aformat=channel_layouts=mono',
+        'silencedetect=noise=-50dB:duration=0.5',
+        'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json'
+    ]);
+
+    const fadeOnly = parseAudioFilterOptions({ audioFilters: { fadeOut: 3 } });
+    assert.deepEqual(buildAnalysisFilters(fadeOnly), ['anull']);
+    assert.equal(needsAnalysis(parseAudioFilterOptions({ audioFilters: { speed: 2 } })), false);
+});
+
+test('parseAudioAnalysis finds the length, edge silence and loudness', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { normalize: true, trimSilence: true } });
+    const stderr = [
+        'size=N/A time=00:00:30.00 bitrate=N/A',
+        '[silencedetect @ 0x1] silence_start: 0',
+        '[silencedetect @ 0x1] silence_end: 1.5 | silence_duration: 1.5',
+        '[silencedetect @ 0x1] silence_start: 20',
+        '[silencedetect @ 0x1] silence_end: 22 | silence_duration: 2',
+        '[silencedetect @ 0x1] silence_start: 58',
+        'size=N/A time=00:01:00.00 bitrate=N/A',
+        LOUDNORM_JSON
+    ].join('\n');
+
+    const analysis = parseAudioAnalysis(stderr, filters);
+    assert.equal(analysis.duration, 60);
+    assert.deepEqual(analysis.silence, { start: 1.5, end: 58 });
+    assert.equal(analysis.loudness.input_i, '-23.51');
+});
+
+test('silence only in the middle, or everywhere, trims nothing', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { trimSilence: true } });
+    const middle = 'time=00:01:00.00\nsilence_start: 20\nsilence_end: 22 | x';
+    assert.equal(parseAudioAnalysis(middle, filters).silence, null);
+    const all = 'time=00:01:00.00\nsilence_start: 0';
+    assert.equal(parseAudioAnalysis(all, filters).silence, null);
+});
+
+test('silent audio measures as -inf and is not normalized', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { normalize: true } });
+    const stderr = 'time=00:00:10.00\n' + LOUDNORM_JSON.replace('"-23.51"', '"-inf"');
+    assert.equal(parseAudioAnalysis(stderr, filters).loudness, null);
+});
+
+test('the encoding pass trims, speeds up, normalizes, fades and resamples in order', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { normalize: true, trimSilence: true, speed: 3, fadeIn: 1, fadeOut: 2 } });
+    const analysis = {
+        duration: 60,
+        silence: { start: 1.5, end: 58 },
+        loudness: { input_i: '-23.51', input_tp: '-4.20', input_lra: '6.70', input_thresh: '-34.02', target_offset: '0.01' }
+    };
+    assert.deepEqual(buildAudioFilters(filters, analysis, 48000), [
+        'atrim=start=1.5:end=58',
+        'asetpts=PTS-STARTPTS',
+        'atempo=2',
+        'atempo=1.5',
+        'loudnorm=I=-16:TP=-1.5:LRA=11:measured_I=-23.51:measured_TP=-4.20:measured_LRA=6.70:measured_thresh=-34.02:offset=0.01:linear=true',
+        'afade=t=in:st=0:d=1',
+        // (58 - 1.5) / 3 - 2
+        'afade=t=out:st=16.833:d=2',
+        'aresample=48000'
+    ]);
+});
+
+test('without analysis only single-pass filters are applied', () => {
+    const filters = parseAudioFilterOptions({ audioFilters: { speed: 0.5, mono: true, sampleRate: 22050 } });
+    assert.deepEqual(buildAudioFilters(filters, null, 48000), [
+        'aformat=channel_layouts=mono',
+        'atempo=0.5',
+        'aresample=22050'
+    ]);
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cache = require('../lib/cache');
+const { createLocalStorage } = require('../lib/storage/local');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('cache keys ignore the order of options', () => {
+    const key = cache.computeCacheKey({ videoId: 'abc', format: 'mp3', clip: { start: 1, end: 2 } });
+    assert.match(key, /^[0-9a-f]{16}$/);
+    assert.equal(cache.computeCacheKey({ clip: { end: 2, start: 1 }, format: 'mp3', videoId: 'abc' }), key);
+    assert.notEqual(cache.computeCacheKey({ videoId: 'abc', format: 'mp4' }), key);
+});
+
+test('output names and partial outputs', () => {
+    const key = '0123456789abcdef';
+    assert.equal(cache.getPartBasename('My_Song', 'abc', key), `My_Song_abc_${key}.part`);
+    assert.deepEqual(cache.parseOutputName(`My_Song_abc_${key}.mp3`), { title: 'My_Song', sourceId: 'abc', key });
+    assert.equal(cache.getDisplayFilename(`My_Song_abc_${key}.mp3`), 'My_Song.mp3');
+
+    assert.equal(cache.isPartFile(`My_Song_abc_${key}.part.mp3`), true);
+    assert.equal(cache.isPartFile(`My_Song_abc_${key}.part.mp3.tagged.mp3`), true);
+    assert.equal(cache.isPartFile(`Video.part.2_abc_${key}.mp3`), false);
+    assert.equal(cache.parseOutputName(`My_Song_abc_${key}.part.mp3`), null);
+});
+
+test('committed outputs are found again after a restart', async () => {
+    const key = cache.computeCacheKey({ videoId: 'abc', format: 'mp3' });
+    const partName = `${cache.getPartBasename('My_Song', 'abc', key)}.mp3`;
+    fs.writeFileSync(path.join(dir, partName), 'audio');
+    // Left behind by a crash, never committed
+    const otherKey = cache.computeCacheKey({ videoId: 'def', format: 'mp3' });
+    fs.writeFileSync(path.join(dir, `${cache.getPartBasename('Other', 'def', otherKey)}.mp3`), 'partial');
+
+    await cache.loadOutputCache(createLocalStorage({ dir }), dir);
+    const filename = await cache.commitOutput(key, partName, { title: 'My Song', url: 'https://youtu.be/abc' });
+    assert.equal(filename, `My_Song_abc_${key}.mp3`);
+    assert.equal((await cache.getCachedOutput(key)).title, 'My Song');
+
+    // A new process only has the files to go on
+    assert.equal(await cache.loadOutputCache(createLocalStorage({ dir }), dir), 1);
+    const restored = await cache.getCachedOutput(key);
+    assert.equal(restored.filename, filename);
+    assert.equal(restored.title, 'My Song');
+    assert.equal(restored.fileSize, 5);
+    assert.equal(await cache.getCachedOutput(otherKey), null);
+
+    // Removed behind the cache's back
+    fs.unlinkSync(path.join(dir, filename));
+    assert.equal(await cache.getCachedOutput(key), null);
+});
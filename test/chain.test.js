@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setLogLevel } = require('../lib/logger');
+const { classifyError, createExtractorChain } = require('../lib/extractors/chain');
+
+setLogLevel('error');
+
+const httpError = (status, message = `Status code: ${status}`) => Object.assign(new Error(message), { statusCode: status });
+
+// Extractor whose getInfo fails with `fail()` for "bad" URLs, counting calls
+const fakeExtractor = (name, fail) => {
+    const extractor = {
+        name,
+        calls: 0,
+        canHandle: () => true,
+        getId: () => 'id',
+        getInfo: async (url) => {
+            extractor.calls++;
+            if (url === 'bad') throw fail();
+            return { videoDetails: {}, formats: [] };
+        },
+        createStream: () => null
+    };
+    return extractor;
+};
+
+const options = { attempts: 2, backoff: 1, maxBackoff: 1, failureThreshold: 2, cooldown: 50 };
+
+test('classifyError sorts errors by who is at fault', () => {
+    assert.equal(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 'source');
+    assert.equal(classifyError(httpError(503)), 'source');
+    assert.equal(classifyError(httpError(429)), 'source');
+    assert.equal(classifyError(httpError(403)), 'source');
+    assert.equal(classifyError(new Error('Sign in to confirm you’re not a bot')), 'source');
+    assert.equal(classifyError(new Error('Video unavailable')), 'video');
+    assert.equal(classifyError(new Error('This is a private video')), 'video');
+    assert.equal(classifyError(new Error('Sign in to confirm your age')), 'video');
+    assert.equal(classifyError(Object.assign(httpError(403, 'Private address'), { isVideoError: true })), 'video');
+    assert.equal(classifyError(httpError(410)), null);
+    assert.equal(classifyError(httpError(404)), null);
+    assert.equal(classifyError(new Error('Could not extract functions')), null);
+});
+
+test('per-video errors are thrown straight away and never open a breaker', async () => {
+    const first = fakeExtractor('first', () => new Error('Video unavailable'));
+    const second = fakeExtractor('second', () => new Error('Video unavailable'));
+    const chain = createExtractorChain([first, second], options);
+
+    for (let i = 0; i < 5; i++) {
+        await assert.rejects(chain.getInfo('bad'), /Video unavailable/);
+    }
+    assert.equal(first.calls, 5, 'not retried');
+    assert.equal(second.calls, 0, 'no fallthrough');
+    assert.deepEqual(chain.getStats().map(stats => stats.state), ['closed', 'closed']);
+    assert.equal((await chain.getInfo('good')).extractor, 'first');
+});
+
+test('source failures are retried, fall through and open the breaker', async () => {
+    const first = fakeExtractor('first', () => httpError(503));
+    const second = fakeExtractor('second', () => httpError(503));
+    const chain = createExtractorChain([first, second], options);
+
+    await assert.rejects(chain.getInfo('bad'), { statusCode: 503 });
+    assert.equal(first.calls, 2);
+    assert.equal(second.calls, 2);
+
+    await assert.rejects(chain.getInfo('bad'));
+    assert.deepEqual(chain.getStats().map(stats => stats.state), ['open', 'open']);
+
+    // Every breaker open: fail fast without calling anything
+    await assert.rejects(chain.getInfo('good'), /Every extractor for this URL is failing/);
+    assert.equal(first.calls, 4);
+});
+
+test('a breaker lets one probe through after the cooldown and closes on success', async () => {
+    const first = fakeExtractor('first', () => httpError(500));
+    const chain = createExtractorChain([first], { ...options, attempts: 1 });
+
+    await assert.rejects(chain.getInfo('bad'));
+    await assert.rejects(chain.getInfo('bad'));
+    assert.equal(chain.getStats()[0].state, 'open');
+
+    await new Promise(resolve => setTimeout(resolve, options.cooldown + 10));
+    assert.equal(chain.getStats()[0].state, 'half-open');
+
+    await chain.getInfo('good');
+    assert.deepEqual(
+        { state: chain.getStats()[0].state, failures: chain.getStats()[0].failures },
+        { state: 'closed', failures: 0 }
+    );
+});
+
+test('a failed probe opens the breaker for another cooldown', async () => {
+    const first = fakeExtractor('first', () => httpError(500));
+    const chain = createExtractorChain([first], { ...options, attempts: 1 });
+
+    await assert.rejects(chain.getInfo('bad'));
+    await assert.rejects(chain.getInfo('bad'));
+    await new Promise(resolve => setTimeout(resolve, options.cooldown + 10));
+
+    await assert.rejects(chain.getInfo('bad'), { statusCode: 500 });
+    assert.equal(chain.getStats()[0].state, 'open');
+});
+
+test('a 403 block falls back to the next extractor', async () => {
+    const first = fakeExtractor('first', () => httpError(403));
+    const second = { ...fakeExtractor('second'), getInfo: async () => ({ videoDetails: {}, formats: [] }) };
+    const chain = createExtractorChain([first, second], options);
+
+    assert.equal((await chain.getInfo('bad')).extractor, 'second');
+    assert.equal(first.calls, 2, 'retried first');
+    assert.equal(chain.getStats()[0].failures, 1);
+});
+
+test('other errors fall through without counting', async () => {
+    const first = fakeExtractor('first', () => new Error('Could not extract functions'));
+    const second = fakeExtractor('second', () => new Error('unused'));
+    const chain = createExtractorChain([first, second], { ...options, attempts: 1 });
+
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(chain.getInfo('bad'));
+    }
+    assert.equal(second.calls, 3);
+    assert.equal(chain.getStats()[0].state, 'closed');
+    assert.equal(chain.getStats()[0].failures, 0);
+});
+
+test('URLs no extractor handles are rejected with 400', async () => {
+    const chain = createExtractorChain([{ ...fakeExtractor('none'), canHandle: () => false }], options);
+    assert.equal(chain.canHandle('x'), false);
+    await assert.rejects(chain.getInfo('x'), { statusCode: 400 });
+    assert.throws(() => chain.getId('x'), { statusCode: 400 });
+});
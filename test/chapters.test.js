@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDescriptionChapters, getVideoChapters, parseSplitPoints, buildChapterRanges } = require('../lib/chapters');
+
+test('chapters from description timestamps', () => {
+    const description = [
+        'My video',
+        '0:00 Intro',
+        '1. 02:15 - Topic',
+        '(1:02:03) Outro',
+        'Credits - 1:05:00'
+    ].join('\n');
+
+    assert.deepEqual(parseDescriptionChapters(description), [
+        { start: 0, title: 'Intro' },
+        { start: 135, title: 'Topic' },
+        { start: 3723, title: 'Outro' },
+        { start: 3900, title: 'Credits' }
+    ]);
+
+    // YouTube needs a first chapter at 0:00 and times going forwards
+    assert.deepEqual(parseDescriptionChapters('0:30 A\n1:00 B'), []);
+    assert.deepEqual(parseDescriptionChapters('0:00 A\n2:00 B\n1:00 C'), []);
+    assert.deepEqual(parseDescriptionChapters('0:00 Only one'), []);
+});
+
+test('chapter markers win over the description', () => {
+    const videoDetails = {
+        chapters: [{ start_time: 0, title: 'Marker' }],
+        description: '0:00 A\n1:00 B'
+    };
+    assert.deepEqual(getVideoChapters(videoDetails), [{ start: 0, title: 'Marker' }]);
+    assert.equal(getVideoChapters({ description: '0:00 A\n1:00 B' }).length, 2);
+});
+
+test('split points from the request are validated', () => {
+    assert.equal(parseSplitPoints(undefined), null);
+    assert.deepEqual(parseSplitPoints(['1:00', { start: 120, title: 'Two' }]), [
+        { start: 60, title: undefined },
+        { start: 120, title: 'Two' }
+    ]);
+
+    assert.throws(() => parseSplitPoints([]), { statusCode: 400 });
+    assert.throws(() => parseSplitPoints(['abc']), { statusCode: 400, message: /position 1/ });
+    assert.throws(() => parseSplitPoints([60, 30]), { statusCode: 400, message: /increasing order/ });
+    assert.throws(() => parseSplitPoints([{ start: 1, title: 2 }]), { statusCode: 400, message: /must be a string/ });
+});
+
+test('ranges cover the whole video', () => {
+    assert.deepEqual(buildChapterRanges([{ start: 60, title: 'Main' }], '300'), [
+        { index: 1, title: 'Part 1', start: 0, end: 60 },
+        { index: 2, title: 'Main', start: 60, end: 300 }
+    ]);
+    // Unknown length: the last chapter runs to the end of the file
+    assert.equal(buildChapterRanges([{ start: 0 }, { start: 60 }], '0')[1].end, null);
+    assert.throws(() => buildChapterRanges([{ start: 0 }, { start: 400 }], '300'), { statusCode: 400, message: /beyond the video length/ });
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimestamp, parseClipOptions, resolveClipRange } = require('../lib/clip');
+
+test('timestamps in seconds and hh:mm:ss', () => {
+    assert.equal(parseTimestamp(90), 90);
+    assert.equal(parseTimestamp('90.5'), 90.5);
+    assert.equal(parseTimestamp('1:30'), 90);
+    assert.equal(parseTimestamp('01:01:30.5'), 3690.5);
+    assert.ok(Number.isNaN(parseTimestamp('1:75')));
+    assert.ok(Number.isNaN(parseTimestamp('abc')));
+    assert.ok(Number.isNaN(parseTimestamp(Infinity)));
+});
+
+test('clip options are validated', () => {
+    assert.equal(parseClipOptions({}), null);
+    assert.deepEqual(parseClipOptions({ start: '0:10', end: 20 }), { start: 10, end: 20, mode: 'accurate' });
+    assert.deepEqual(parseClipOptions({ end: '1:00', clipMode: 'fast' }), { start: 0, end: 60, mode: 'fast' });
+
+    assert.throws(() => parseClipOptions({ start: -1 }), { statusCode: 400, message: /Invalid start time/ });
+    assert.throws(() => parseClipOptions({ start: 20, end: 10 }), { statusCode: 400, message: /after start/ });
+    assert.throws(() => parseClipOptions({ start: 1, clipMode: 'slow' }), { statusCode: 400, message: /Invalid clip mode/ });
+});
+
+test('clip ranges are checked against the video length', () => {
+    assert.deepEqual(resolveClipRange({ start: 10, end: null, mode: 'fast' }, '60'), { start: 10, end: 60, mode: 'fast', duration: 50 });
+    assert.deepEqual(resolveClipRange({ start: 10, end: 60, mode: 'fast' }, '60').duration, 50);
+
+    assert.throws(() => resolveClipRange({ start: 60, end: null }, '60'), { statusCode: 400, message: /Start time 60s is beyond/ });
+    assert.throws(() => resolveClipRange({ start: 0, end: 61 }, '60'), { statusCode: 400, message: /End time 61s is beyond/ });
+});
+
+test('videos without a known length need an end time', () => {
+    assert.throws(() => resolveClipRange({ start: 5, end: null }, '0'), { statusCode: 400, message: /end time is required/ });
+    assert.equal(resolveClipRange({ start: 5, end: 3600 }, '0').duration, 3595);
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseOrigin, redactConfig } = require('../lib/config');
+
+const withConfigFile = (name, contents, run) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    try {
+        return run(file);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+const getErrors = (env) => {
+    try {
+        loadConfig(env);
+    } catch (error) {
+        return error.configErrors;
+    }
+    assert.fail('expected the configuration to be rejected');
+};
+
+test('defaults apply with an empty environment', () => {
+    const config = loadConfig({});
+    assert.equal(config.port, 5000);
+    assert.equal(config.logLevel, 'info');
+    assert.equal(config.rateLimits.anonymous.perMinute, 30);
+    assert.deepEqual(config.audio.defaultBitrates, {});
+    assert.equal(config.file, null);
+});
+
+test('environment values are parsed by type', () => {
+    const config = loadConfig({
+        PORT: '8080',
+        API_KEYS_REQUIRED: 'true',
+        CORS_ORIGINS: 'https://a.example, /\\.b\\.example$/',
+        DEFAULT_AUDIO_BITRATES: 'mp3=256,opus=128',
+        CLEANUP_MAX_AGE_HOURS: '0.5'
+    });
+    assert.equal(config.port, 8080);
+    assert.equal(config.apiKeys.required, true);
+    assert.deepEqual(config.cors.origins, ['https://a.example', '/\\.b\\.example$/']);
+    assert.deepEqual(config.audio.defaultBitrates, { mp3: 256, opus: 128 });
+    assert.equal(config.cleanup.maxAgeHours, 0.5);
+});
+
+test('every invalid value is reported together', () => {
+    const errors = getErrors({
+        PORT: 'abc',
+        LOG_LEVEL: 'loud',
+        API_KEYS_REQUIRED: 'yes',
+        DEFAULT_AUDIO_BITRATES: 'mp3=8',
+        STORAGE_DRIVER: 's3'
+    });
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /^PORT must be an integer >= 1 and <= 65535, got "abc"$/);
+    assert.ok(errors.some(error => /S3_BUCKET/.test(error)));
+});
+
+test('invalid CORS patterns are rejected', () => {
+    const errors = getErrors({ CORS_ORIGINS: '/(/' });
+    assert.match(errors[0], /not a valid regular expression/);
+});
+
+test('a YAML config file is read and the environment wins over it', () => {
+    const yaml = 'port: 7000\nlogLevel: debug\nrateLimits:\n  anonymous:\n    perMinute: 20\ntrustProxy: 1\n';
+    withConfigFile('config.yaml', yaml, (file) => {
+        const config = loadConfig({ CONFIG_FILE: file, PORT: '7001' });
+        assert.equal(config.port, 7001);
+        assert.equal(config.logLevel, 'debug');
+        assert.equal(config.rateLimits.anonymous.perMinute, 20);
+        assert.equal(config.rateLimits.anonymous.burst, 10);
+        assert.equal(config.trustProxy, '1');
+        assert.equal(config.file, file);
+    });
+});
+
+test('unknown keys and bad values in a JSON config file are reported', () => {
+    const json = JSON.stringify({ prot: 80, rateLimits: { anonymous: { perMinute: -1 } } });
+    withConfigFile('config.json', json, (file) => {
+        const errors = getErrors({ CONFIG_FILE: file });
+        assert.ok(errors.some(error => /unknown setting "prot"/.test(error)));
+        assert.ok(errors.some(error => /rateLimits\.anonymous\.perMinute in config\.json must be an integer >= 0/.test(error)));
+    });
+});
+
+test('a config file that is not an object of settings is reported', () => {
+    withConfigFile('config.json', '[1, 2]', (file) => {
+        assert.match(getErrors({ CONFIG_FILE: file })[0], /must contain an object of settings/);
+    });
+});
+
+test('parseOrigin turns /.../ into a regular expression', () => {
+    assert.equal(parseOrigin('https://a.example'), 'https://a.example');
+    const pattern = parseOrigin('/\\.vercel\\.app$/');
+    assert.ok(pattern instanceof RegExp);
+    assert.ok(pattern.test('https://x.vercel.app'));
+});
+
+test('redactConfig hides secrets that are set and leaves the rest', () => {
+    const config = loadConfig({ ADMIN_TOKEN: 'admin-secret', DOWNLOAD_LINK_SECRET: 'link-secret' });
+    const redacted = redactConfig(config);
+    assert.equal(redacted.adminToken, '[redacted]');
+    assert.equal(redacted.downloadLinks.secret, '[redacted]');
+    assert.equal(redacted.metricsToken, undefined);
+    assert.equal(redacted.port, 5000);
+    assert.equal(config.adminToken, 'admin-secret');
+});
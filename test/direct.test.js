@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const ffmpeg = require('fluent-ffmpeg');
+const { createDirectExtractor } = require('../lib/extractors/direct');
+
+// ffprobe stand-in that prints a file with one audio stream and two
+// chapters, the way ffprobe does with -show_chapters
+const PROBE_OUTPUT = [
+    '[STREAM]', 'index=0', 'codec_type=audio', 'codec_name=aac', 'bit_rate=128000', 'sample_rate=44100', 'channels=2', '[/STREAM]',
+    '[CHAPTER]', 'id=0', 'start_time=0.000000', 'end_time=60.000000', 'TAG:title=Intro', '[/CHAPTER]',
+    '[CHAPTER]', 'id=1', 'start_time=60.000000', 'end_time=120.000000', '[/CHAPTER]',
+    '[FORMAT]', 'format_name=mov,mp4,m4a,3gp,3g2,mj2', 'duration=120.000000', 'size=1000', 'TAG:title=Episode 1', '[/FORMAT]'
+].join('\n');
+
+let dir;
+let mediaPath;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'direct-test-'));
+    mediaPath = path.join(dir, 'episode.m4a');
+    fs.writeFileSync(mediaPath, 'media');
+    const probePath = path.join(dir, 'ffprobe');
+    fs.writeFileSync(probePath, `#!/bin/sh\ncat <<'END'\n${PROBE_OUTPUT}\nEND\n`, { mode: 0o755 });
+    ffmpeg.setFfprobePath(probePath);
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('local files become info with formats and chapters', async () => {
+    const extractor = createDirectExtractor({ mediaDir: dir });
+    const info = await extractor.getInfo(pathToFileURL(mediaPath).href);
+
+    assert.equal(info.videoDetails.title, 'Episode 1');
+    assert.equal(info.videoDetails.lengthSeconds, '120');
+    assert.deepEqual(info.videoDetails.chapters, [
+        { start_time: 0, title: 'Intro' },
+        { start_time: 60, title: 'Chapter 2' }
+    ]);
+    assert.deepEqual(info.formats.map(f => f.itag), ['direct-audio']);
+    assert.equal(info.formats[0].url, mediaPath);
+    assert.equal(info.formats[0].container, 'mp4');
+});
+
+test('files outside the media directory are not handled', () => {
+    const extractor = createDirectExtractor({ mediaDir: dir });
+    assert.equal(extractor.canHandle(pathToFileURL(path.join(os.tmpdir(), 'other.mp4')).href), false);
+    assert.equal(createDirectExtractor().canHandle(pathToFileURL(mediaPath).href), false);
+});
+
+test('private addresses and hosts off the allowlist are refused', async () => {
+    await assert.rejects(createDirectExtractor().getInfo('http://127.0.0.1/video.mp4'), { statusCode: 403 });
+    await assert.rejects(createDirectExtractor().getInfo('http://[::ffff:10.0.0.1]/video.mp4'), { statusCode: 403 });
+
+    const allowlisted = createDirectExtractor({ allowedHosts: ['media.example.com'] });
+    await assert.rejects(allowlisted.getInfo('https://example.org/video.mp4'), { statusCode: 403 });
+});
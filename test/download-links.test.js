@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+const { signDownloadLink, verifyDownloadLink, consumeDownloadLink } = require('../lib/download-links');
+
+loadConfig({ DOWNLOAD_LINK_SECRET: 'test-secret', DOWNLOAD_LINK_TTL: '60' });
+
+// The query of a signed link, as Express would parse it
+const getQuery = (link) => Object.fromEntries(new URL(link, 'http://localhost').searchParams);
+
+test('a signed link verifies for its own file only', () => {
+    const link = signDownloadLink('video.mp4');
+    assert.match(link, /^\/downloads\/video\.mp4\?expires=\d+&signature=/);
+    const query = getQuery(link);
+
+    assert.doesNotThrow(() => verifyDownloadLink('video.mp4', query));
+    assert.throws(() => verifyDownloadLink('other.mp4', query), { statusCode: 403 });
+});
+
+test('missing or tampered signatures get 403', () => {
+    const query = getQuery(signDownloadLink('video.mp4'));
+    assert.throws(() => verifyDownloadLink('video.mp4', {}), { statusCode: 403 });
+    assert.throws(() => verifyDownloadLink('video.mp4', { ...query, signature: 'x' }), { statusCode: 403 });
+    assert.throws(() => verifyDownloadLink('video.mp4', { ...query, expires: String(Number(query.expires) + 1) }), { statusCode: 403 });
+});
+
+test('expired links get 410', () => {
+    loadConfig({ DOWNLOAD_LINK_SECRET: 'test-secret', DOWNLOAD_LINK_TTL: '1' });
+    const realNow = Date.now;
+    const link = signDownloadLink('video.mp4');
+    try {
+        Date.now = () => realNow() + 5000;
+        assert.throws(() => verifyDownloadLink('video.mp4', getQuery(link)), { statusCode: 410, message: /expired/ });
+    } finally {
+        Date.now = realNow;
+        loadConfig({ DOWNLOAD_LINK_SECRET: 'test-secret', DOWNLOAD_LINK_TTL: '60' });
+    }
+});
+
+test('one-time links work once', () => {
+    const query = getQuery(signDownloadLink('video.mp4', { oneTime: true }));
+    assert.ok(query.once);
+
+    verifyDownloadLink('video.mp4', query);
+    consumeDownloadLink(query);
+    assert.throws(() => verifyDownloadLink('video.mp4', query), { statusCode: 410, message: /already been used/ });
+
+    // Other links to the same file are unaffected
+    const other = getQuery(signDownloadLink('video.mp4', { oneTime: true }));
+    assert.doesNotThrow(() => verifyDownloadLink('video.mp4', other));
+});
+
+test('the secret signs the links', () => {
+    const query = getQuery(signDownloadLink('video.mp4'));
+    loadConfig({ DOWNLOAD_LINK_SECRET: 'another-secret' });
+    try {
+        assert.throws(() => verifyDownloadLink('video.mp4', query), { statusCode: 403 });
+    } finally {
+        loadConfig({ DOWNLOAD_LINK_SECRET: 'test-secret', DOWNLOAD_LINK_TTL: '60' });
+    }
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getOutputFormat, getContentType, getSourceCodec, canRemux, isUsableSource, getPossibleOutputFormats } = require('../lib/formats');
+
+const aacAudio = { hasAudio: true, hasVideo: false, audioCodec: 'mp4a.40.2', container: 'mp4' };
+const opusAudio = { hasAudio: true, hasVideo: false, audioCodec: 'opus', container: 'webm' };
+const h264Video = { hasAudio: false, hasVideo: true, videoCodec: 'avc1.640028', container: 'mp4' };
+const vp9Video = { hasAudio: false, hasVideo: true, videoCodec: 'vp9', container: 'webm' };
+
+test('formats are looked up by ID only', () => {
+    assert.equal(getOutputFormat('mp3').container, 'mp3');
+    assert.equal(getOutputFormat('m4a').id, 'm4a');
+    assert.equal(getOutputFormat('toString'), null);
+    assert.equal(getOutputFormat('wma'), null);
+});
+
+test('content types for outputs and other files', () => {
+    assert.equal(getContentType('.MP3'), 'audio/mpeg');
+    assert.equal(getContentType('.zip'), 'application/zip');
+    assert.equal(getContentType('.bin'), 'application/octet-stream');
+});
+
+test('sources are copied when the container takes their codec', () => {
+    assert.equal(getSourceCodec(aacAudio, 'audio'), 'mp4a');
+    assert.equal(getSourceCodec(h264Video, 'video'), 'avc1');
+
+    assert.equal(canRemux(getOutputFormat('m4a'), aacAudio), true);
+    assert.equal(canRemux(getOutputFormat('m4a'), opusAudio), false);
+    assert.equal(canRemux(getOutputFormat('opus'), opusAudio), true);
+    // MP3 is always encoded
+    assert.equal(canRemux(getOutputFormat('mp3'), aacAudio), false);
+    assert.equal(isUsableSource(getOutputFormat('mp3'), aacAudio), true);
+});
+
+test('possible outputs depend on the sources a video has', () => {
+    const possible = getPossibleOutputFormats([aacAudio, h264Video]);
+    const byId = Object.fromEntries(possible.map(entry => [entry.format, entry]));
+
+    assert.equal(byId.mp3.remux, false);
+    assert.equal(byId.m4a.remux, true);
+    assert.equal(byId.mp4.remux, true);
+    assert.equal(byId.mp4.kind, 'video');
+
+    // Without any audio there's nothing to make
+    assert.deepEqual(getPossibleOutputFormats([h264Video, vp9Video]), []);
+});
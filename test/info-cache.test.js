@@ -0,0 +1,56 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+const { getCachedInfo, setCachedInfo, loadVideoInfo, clearInfoCache, getInfoCacheStats } = require('../lib/info-cache');
+
+const info = (title, formats = []) => ({ videoDetails: { title }, formats });
+
+beforeEach(() => {
+    loadConfig({ INFO_CACHE_MAX_ENTRIES: '2', INFO_CACHE_TTL: '60' });
+    clearInfoCache();
+});
+
+test('the size and TTL come from the config', () => {
+    const stats = getInfoCacheStats();
+    assert.equal(stats.maxEntries, 2);
+    assert.equal(stats.ttlSeconds, 60);
+
+    assert.throws(() => loadConfig({ INFO_CACHE_MAX_ENTRIES: '0' }), /INFO_CACHE_MAX_ENTRIES must be an integer >= 1/);
+});
+
+test('the least recently used entry is dropped first', () => {
+    setCachedInfo('a', info('A'));
+    setCachedInfo('b', info('B'));
+    getCachedInfo('a');
+    setCachedInfo('c', info('C'));
+
+    assert.equal(getCachedInfo('b'), null);
+    assert.equal(getCachedInfo('a').videoDetails.title, 'A');
+    assert.equal(getCachedInfo('c').videoDetails.title, 'C');
+});
+
+test('entries expire before their stream URLs do', () => {
+    const expire = Math.floor(Date.now() / 1000) + 20 * 60;
+    setCachedInfo('a', info('A', [{ url: `https://example.com/v?expire=${expire}` }]));
+    const [entry] = getInfoCacheStats().entries;
+    assert.ok(Date.parse(entry.expiresAt) <= Date.parse(entry.cachedAt) + 60 * 1000);
+
+    // Less than the 15 minute margin left: not cached at all
+    const soon = Math.floor(Date.now() / 1000) + 10 * 60;
+    setCachedInfo('b', info('B', [{ url: `https://example.com/v?expire=${soon}` }]));
+    assert.equal(getCachedInfo('b'), null);
+});
+
+test('concurrent loads of one video share a request', async () => {
+    let calls = 0;
+    const loader = async () => {
+        calls++;
+        return info('A');
+    };
+    const [first, second] = await Promise.all([loadVideoInfo('a', loader), loadVideoInfo('a', loader)]);
+    assert.equal(calls, 1);
+    assert.equal(first, second);
+
+    await loadVideoInfo('a', loader, { fresh: true });
+    assert.equal(calls, 2);
+});
@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../lib/storage/local');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-storage-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('list skips files removed while it runs', async (t) => {
+    const storage = createLocalStorage({ dir });
+    fs.writeFileSync(path.join(dir, 'kept.mp3'), 'kept');
+    fs.writeFileSync(path.join(dir, '.readyz-probe'), 'ok');
+
+    // The probe file goes away between readdir and stat
+    const { stat } = fs.promises;
+    t.mock.method(fs.promises, 'stat', async (filepath) => {
+        if (path.basename(filepath) === '.readyz-probe') await fs.promises.unlink(filepath);
+        return stat(filepath);
+    });
+
+    const entries = await storage.list();
+    assert.deepEqual(entries.map(entry => entry.name), ['kept.mp3']);
+    assert.equal(entries[0].size, 4);
+});
+
+test('names outside the directory are refused', async () => {
+    const storage = createLocalStorage({ dir });
+    assert.throws(() => storage.localPath('../escape.mp3'), /Invalid storage name/);
+    assert.equal(await storage.stat('missing.mp3'), null);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMetadataTags, buildTagCommand } = require('../lib/metadata');
+const { getOutputFormat } = require('../lib/formats');
+
+// Value that follows each occurrence of `option`
+const optionValues = (args, option) => args.flatMap((arg, index) => arg === option ? [args[index + 1]] : []);
+
+test('tag values with a single space stay one argument', () => {
+    const tags = buildMetadataTags({ title: 'Hello World', author: { name: 'Taylor Swift' } }, 'https://youtu.be/x');
+    const args = buildTagCommand('in.mp3', getOutputFormat('mp3'), tags)._getArguments();
+
+    assert.deepEqual(optionValues(args, '-metadata'), ['title=Hello World', 'artist=Taylor Swift', 'comment=https://youtu.be/x']);
+    assert.ok(!args.includes('World'));
+});
+
+test('cover art is mapped after the video stream', () => {
+    const args = buildTagCommand('in.mp4', getOutputFormat('mp4'), { title: 'Plain' }, 'cover.jpg')._getArguments();
+
+    assert.deepEqual(optionValues(args, '-i'), ['in.mp4', 'cover.jpg']);
+    assert.equal(optionValues(args, '-disposition:v:1')[0], 'attached_pic');
+    assert.deepEqual(optionValues(args, '-metadata:s:v:1'), ['title=Cover', 'comment=Cover (front)']);
+});
+
+test('overrides win and empty values are left out', () => {
+    const tags = buildMetadataTags({ title: 'Video', description: '' }, 'https://youtu.be/x', { album: 'Playlist', track: '1' }, { title: 'Mine' });
+    assert.deepEqual(tags, { album: 'Playlist', track: '1', title: 'Mine', comment: 'https://youtu.be/x' });
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../lib/config');
+const { getClientLimits, getRequestBuckets, takeToken, checkQuota, recordDownload, recordBytes } = require('../lib/rate-limit');
+
+loadConfig({ RATE_LIMIT_PER_MINUTE: '60', RATE_LIMIT_BURST: '2', DAILY_DOWNLOAD_LIMIT: '2', DAILY_MEGABYTE_LIMIT: '1' });
+
+test('keys get their own limits, with per-key overrides', () => {
+    assert.equal(getClientLimits(null).burst, 2);
+    assert.equal(getClientLimits({ limits: {} }).burst, 30);
+    assert.equal(getClientLimits({ limits: { burst: 5 } }).burst, 5);
+});
+
+test('keyed requests also count against their IP address', () => {
+    const anonymous = { id: 'ip:1.2.3.4', limits: getClientLimits(null) };
+    assert.deepEqual(getRequestBuckets(anonymous, '1.2.3.4', false).map(([id]) => id), ['ip:1.2.3.4']);
+
+    const keyed = { id: 'key:a', apiKey: {}, limits: getClientLimits({ limits: {} }) };
+    assert.deepEqual(getRequestBuckets(keyed, '1.2.3.4', false).map(([id]) => id), ['key:a', 'keyed-ip:1.2.3.4']);
+
+    // Polling uses a bucket of its own
+    assert.deepEqual(getRequestBuckets(keyed, '1.2.3.4', true).map(([id]) => id), ['key:a:polls']);
+});
+
+test('buckets allow a burst and then ask to retry', () => {
+    const limits = { perMinute: 60, burst: 2 };
+    assert.equal(takeToken('burst-client', limits).allowed, true);
+    const second = takeToken('burst-client', limits);
+    assert.equal(second.allowed, true);
+    assert.equal(second.remaining, 0);
+
+    const third = takeToken('burst-client', limits);
+    assert.equal(third.allowed, false);
+    assert.equal(third.retryAfter, 1);
+
+    // Other clients have their own bucket
+    assert.equal(takeToken('other-client', limits).allowed, true);
+});
+
+test('a limit of 0 means no limit', () => {
+    for (let i = 0; i < 5; i++) {
+        assert.deepEqual(takeToken('unlimited-client', { perMinute: 0, burst: 0 }), { allowed: true, limit: null });
+    }
+    assert.equal(checkQuota('unlimited-client', { dailyDownloads: 0, dailyMegabytes: 0 }).allowed, true);
+});
+
+test('daily quotas on downloads and megabytes', () => {
+    const limits = getClientLimits(null);
+    assert.equal(checkQuota('quota-client', limits).remaining, 2);
+    recordDownload('quota-client');
+    recordDownload('quota-client');
+    assert.deepEqual(
+        { ...checkQuota('quota-client', limits), resetAt: undefined },
+        { allowed: false, quota: 'downloads', limit: 2, resetAt: undefined }
+    );
+
+    recordBytes('bytes-client', 1024 * 1024);
+    const result = checkQuota('bytes-client', limits);
+    assert.equal(result.allowed, false);
+    assert.equal(result.quota, 'megabytes');
+    assert.ok(result.resetAt > Date.now() / 1000);
+});
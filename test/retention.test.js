@@ -0,0 +1,91 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setLogLevel } = require('../lib/logger');
+const { createLocalStorage } = require('../lib/storage/local');
+const retention = require('../lib/retention');
+
+setLogLevel('error');
+
+const HOUR = 60 * 60 * 1000;
+let dir;
+let workDir;
+let pinsFile;
+
+// Write a file in the work directory, last modified `age` ms ago
+const writeFile = (name, size, age = 0) => {
+    const filepath = path.join(workDir, name);
+    fs.writeFileSync(filepath, Buffer.alloc(size));
+    const time = new Date(Date.now() - age);
+    fs.utimesSync(filepath, time, time);
+};
+
+const remaining = () => fs.readdirSync(workDir).sort();
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+    workDir = path.join(dir, 'downloads');
+    pinsFile = path.join(dir, 'data', 'pins.json');
+    retention.loadRetention(createLocalStorage({ dir: workDir }), workDir, pinsFile);
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('old outputs are removed unless pinned or in use', async () => {
+    writeFile('old_a_0000000000000001.mp3', 10, 2 * HOUR);
+    writeFile('old_b_0000000000000002.mp3', 10, 2 * HOUR);
+    writeFile('old_c_0000000000000003.mp3', 10, 2 * HOUR);
+    writeFile('new_d_0000000000000004.mp3', 10);
+    writeFile('old_e_0000000000000005.part.mp3', 10, 2 * HOUR);
+
+    await retention.setPinned('old_a_0000000000000001.mp3', true);
+    const release = retention.holdFiles('0000000000000002');
+
+    const { removed } = await retention.sweepOutputs({ maxAge: HOUR, maxTotalBytes: 0 });
+    assert.deepEqual(removed.map(file => [file.name, file.reason, file.location]).sort(), [
+        ['old_c_0000000000000003.mp3', 'age', 'storage'],
+        ['old_e_0000000000000005.part.mp3', 'age', 'work']
+    ]);
+    assert.deepEqual(remaining(), [
+        'new_d_0000000000000004.mp3',
+        'old_a_0000000000000001.mp3',
+        'old_b_0000000000000002.mp3'
+    ]);
+
+    release();
+    await retention.sweepOutputs({ maxAge: HOUR, maxTotalBytes: 0 });
+    assert.deepEqual(remaining(), ['new_d_0000000000000004.mp3', 'old_a_0000000000000001.mp3']);
+});
+
+test('least recently used outputs go first when over the size cap', async () => {
+    writeFile('a_x_0000000000000011.mp3', 100, 3000);
+    writeFile('b_x_0000000000000012.mp3', 100, 2000);
+    writeFile('c_x_0000000000000013.mp3', 100, 1000);
+    // Downloading an output makes it the most recently used
+    retention.recordUse('a_x_0000000000000011.mp3');
+
+    const { removed, totalBytes } = await retention.sweepOutputs({ maxAge: HOUR, maxTotalBytes: 250 });
+    assert.deepEqual(removed.map(file => [file.name, file.reason]), [['b_x_0000000000000012.mp3', 'size']]);
+    assert.equal(totalBytes, 200);
+});
+
+test('pins are kept across restarts and removed with their output', async () => {
+    writeFile('pin_x_0000000000000021.mp3', 10);
+    await retention.setPinned('pin_x_0000000000000021.mp3', true);
+    assert.equal(retention.loadRetention(createLocalStorage({ dir: workDir }), workDir, pinsFile), 1);
+    assert.equal(retention.isPinned('pin_x_0000000000000021.mp3'), true);
+
+    await assert.rejects(retention.setPinned('missing_x_0000000000000022.mp3', true), { statusCode: 404 });
+
+    const release = retention.holdFiles('pin_x_0000000000000021.mp3');
+    await assert.rejects(retention.deleteOutput('pin_x_0000000000000021.mp3'), { statusCode: 409 });
+    release();
+
+    await retention.deleteOutput('pin_x_0000000000000021.mp3');
+    assert.deepEqual(remaining(), []);
+    assert.deepEqual(JSON.parse(fs.readFileSync(pinsFile, 'utf8')), []);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { serveFile, getContentDisposition } = require('../lib/serve-file');
+
+const CONTENT = '0123456789abcdefghij';
+let dir;
+let server;
+let baseUrl;
+// Status of every response whose body was sent in full
+const completed = [];
+
+before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'serve-file-test-'));
+    const filepath = path.join(dir, 'file.txt');
+    fs.writeFileSync(filepath, CONTENT);
+    server = http.createServer((req, res) => {
+        // serveFile uses Express's res.status
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        serveFile(req, res, filepath, 'text/plain', (error) => {
+            if (!error) completed.push(res.statusCode);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const request = async (headers = {}, method = 'GET') => {
+    const response = await fetch(baseUrl, { method, headers });
+    return { status: response.status, headers: response.headers, body: await response.text() };
+};
+
+test('the whole file with validators', async () => {
+    const response = await request();
+    assert.equal(response.status, 200);
+    assert.equal(response.body, CONTENT);
+    assert.equal(response.headers.get('accept-ranges'), 'bytes');
+    assert.equal(response.headers.get('content-length'), String(CONTENT.length));
+    assert.ok(response.headers.get('etag'));
+});
+
+test('a single range', async () => {
+    const response = await request({ Range: 'bytes=5-9' });
+    assert.equal(response.status, 206);
+    assert.equal(response.body, '56789');
+    assert.equal(response.headers.get('content-range'), `bytes 5-9/${CONTENT.length}`);
+});
+
+test('a suffix range', async () => {
+    const response = await request({ Range: 'bytes=-3' });
+    assert.equal(response.status, 206);
+    assert.equal(response.body, 'hij');
+});
+
+test('several ranges as multipart/byteranges', async () => {
+    const response = await request({ Range: 'bytes=0-1,10-11' });
+    assert.equal(response.status, 206);
+    assert.match(response.headers.get('content-type'), /^multipart\/byteranges; boundary=/);
+    assert.equal(response.headers.get('content-length'), String(Buffer.byteLength(response.body)));
+    assert.match(response.body, /Content-Range: bytes 0-1\/20\r\n\r\n01\r\n/);
+    assert.match(response.body, /Content-Range: bytes 10-11\/20\r\n\r\nab\r\n/);
+});
+
+test('unsatisfiable ranges get 416 and malformed ones are ignored', async () => {
+    const unsatisfiable = await request({ Range: 'bytes=50-60' });
+    assert.equal(unsatisfiable.status, 416);
+    assert.equal(unsatisfiable.headers.get('content-range'), `bytes */${CONTENT.length}`);
+
+    const malformed = await request({ Range: 'lines=1-2' });
+    assert.equal(malformed.status, 200);
+    assert.equal(malformed.body, CONTENT);
+});
+
+test('conditional requests', async () => {
+    const { headers } = await request();
+    const etag = headers.get('etag');
+
+    assert.equal((await request({ 'If-None-Match': etag })).status, 304);
+    assert.equal((await request({ 'If-Match': '"other"' })).status, 412);
+    assert.equal((await request({ 'If-Modified-Since': headers.get('last-modified') })).status, 304);
+
+    // A stale If-Range gets the whole file
+    const stale = await request({ Range: 'bytes=0-1', 'If-Range': '"other"' });
+    assert.equal(stale.status, 200);
+    const fresh = await request({ Range: 'bytes=0-1', 'If-Range': etag });
+    assert.equal(fresh.status, 206);
+});
+
+test('HEAD sends the headers without a body', async () => {
+    const response = await request({ Range: 'bytes=0-4' }, 'HEAD');
+    assert.equal(response.status, 206);
+    assert.equal(response.headers.get('content-length'), '5');
+    assert.equal(response.body, '');
+});
+
+test('Content-Disposition for names outside Latin-1', () => {
+    assert.equal(getContentDisposition('Plain Name.mp3'), 'attachment; filename="Plain Name.mp3"');
+
+    const value = getContentDisposition('日本語_Don\'s_Song_✨.mp3');
+    assert.equal(value, 'attachment; filename="____Don\'s_Song__.mp3"; filename*=UTF-8\'\'%E6%97%A5%E6%9C%AC%E8%AA%9E_Don%27s_Song_%E2%9C%A8.mp3');
+    // Node accepts it as a header value
+    assert.doesNotThrow(() => http.validateHeaderValue('Content-Disposition', value));
+});
+
+test('completion is reported once the body has been sent', async () => {
+    completed.length = 0;
+    await request({ Range: 'bytes=0-4' });
+    await request();
+    await request({}, 'HEAD');
+    // Give the server a moment to see each pipeline finish
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(completed, [206, 200]);
+});
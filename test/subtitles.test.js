@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSubtitleCommand, shiftCues, formatCues } = require('../lib/subtitles');
+const { getOutputFormat } = require('../lib/formats');
+
+const optionValues = (args, option) => args.flatMap((arg, index) => arg === option ? [args[index + 1]] : []);
+
+test('soft subtitles keep track names with a space in one argument', () => {
+    const track = { languageCode: 'es', name: 'Spanish (Spain)' };
+    const args = buildSubtitleCommand('in.mp4', getOutputFormat('mp4'), 'subs.srt', 'soft', track)._getArguments();
+
+    assert.deepEqual(optionValues(args, '-metadata:s:s:0'), ['language=es', 'title=Spanish (Spain)']);
+    assert.deepEqual(optionValues(args, '-c:s'), ['mov_text']);
+});
+
+test('burned subtitles quote the path for the filter', () => {
+    const args = buildSubtitleCommand('in.mp4', getOutputFormat('mp4'), "C:\\work\\Don't.srt", 'burn')._getArguments();
+
+    assert.equal(optionValues(args, '-filter:v')[0], "subtitles='C\\:/work/Don'\\\\''t.srt'");
+});
+
+test('cues are cut and shifted to a clip', () => {
+    const cues = [
+        { start: 1000, end: 3000, text: 'before' },
+        { start: 9000, end: 12000, text: 'across' },
+        { start: 30000, end: 31000, text: 'after' }
+    ];
+    const shifted = shiftCues(cues, { start: 10, end: 20 });
+
+    assert.deepEqual(shifted, [{ start: 0, end: 2000, text: 'across' }]);
+    assert.equal(formatCues(shifted, 'srt'), '1\n00:00:00,000 --> 00:00:02,000\nacross\n');
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getOutputFormat } = require('../lib/formats');
+const { parseTranscodeOptions, checkTranscodeOptions, planVideoEncode, getPassOptions } = require('../lib/video-transcode');
+
+const mp4 = getOutputFormat('mp4');
+
+test('transcode options are read and validated', () => {
+    assert.equal(parseTranscodeOptions({}), null);
+    assert.deepEqual(parseTranscodeOptions({ transcode: { codec: 'h264', maxResolution: 720 } }), {
+        codec: 'h264', maxResolution: 720, maxFps: null, crf: null, bitrate: null, targetSizeMb: null
+    });
+
+    assert.throws(() => parseTranscodeOptions({ transcode: 'h264' }), { statusCode: 400 });
+    assert.throws(() => parseTranscodeOptions({ transcode: { codec: 'mpeg2' } }), { statusCode: 400, message: /codec must be one of/ });
+    assert.throws(() => parseTranscodeOptions({ transcode: { codec: 'h264', size: 1 } }), { message: /Unknown transcode option: size/ });
+    assert.throws(() => parseTranscodeOptions({ transcode: { codec: 'h264', crf: 60 } }), { message: /crf must be an integer from 0 to 51/ });
+    assert.throws(() => parseTranscodeOptions({ transcode: { codec: 'h264', crf: 20, bitrate: 1000 } }), { message: /only one of/ });
+});
+
+test('the output format has to hold the codec', () => {
+    assert.doesNotThrow(() => checkTranscodeOptions({ codec: 'h265' }, mp4));
+    assert.throws(() => checkTranscodeOptions({ codec: 'h264' }, getOutputFormat('webm')), { statusCode: 400, message: /webm can't hold h264/ });
+    assert.throws(() => checkTranscodeOptions({ codec: 'h264' }, getOutputFormat('mp3')), { message: /only supported for video/ });
+});
+
+test('CRF by default, with the encoder\'s own default', () => {
+    const plan = planVideoEncode(parseTranscodeOptions({ transcode: { codec: 'vp9' } }), 'libvpx-vp9', getOutputFormat('webm'), 60);
+    assert.deepEqual(plan.outputOptions.slice(-4), ['-crf', '33', '-b:v', '0']);
+    assert.equal(plan.passes, 1);
+    assert.deepEqual(plan.filters, []);
+});
+
+test('target sizes use two passes where the encoder has them', () => {
+    const options = parseTranscodeOptions({ transcode: { codec: 'h264', targetSizeMb: 10 } });
+    const plan = planVideoEncode(options, 'libx264', mp4, 60);
+    assert.equal(plan.passes, 2);
+    assert.equal(plan.audioBitrate, 128);
+    assert.deepEqual(plan.outputOptions.slice(-2), ['-b:v', '1214k']);
+
+    // SVT-AV1 has one pass, so the bitrate is capped instead
+    const av1 = planVideoEncode({ ...options, codec: 'av1' }, 'libsvtav1', mp4, 60);
+    assert.equal(av1.passes, 1);
+    assert.deepEqual(av1.outputOptions.slice(-6), ['-b:v', '1214k', '-maxrate', '1214k', '-bufsize', '2428k']);
+
+    assert.throws(() => planVideoEncode(options, 'libx264', mp4, null), { statusCode: 400, message: /needs the video length/ });
+    assert.throws(() => planVideoEncode(options, 'libx264', mp4, 3600), { statusCode: 400, message: /too small/ });
+});
+
+test('HEVC tag, frame rate cap and scaling', () => {
+    const options = parseTranscodeOptions({ transcode: { codec: 'h265', bitrate: 2000, maxFps: 30, maxResolution: 720 } });
+    const plan = planVideoEncode(options, 'libx265', mp4, 60);
+    assert.deepEqual(plan.outputOptions.slice(-6), ['-b:v', '2000k', '-tag:v', 'hvc1', '-fpsmax', '30']);
+    assert.deepEqual(plan.filters, ["scale=w='if(gte(iw,ih),-2,min(iw,720))':h='if(gte(iw,ih),min(ih,720),-2)'"]);
+
+    const mkv = planVideoEncode(options, 'libx265', getOutputFormat('mkv'), 60);
+    assert.equal(mkv.outputOptions.includes('hvc1'), false);
+
+    assert.deepEqual(getPassOptions('libx265', 1, '/tmp/log'), ['-x265-params', 'pass=1:stats=/tmp/log.log']);
+    assert.deepEqual(getPassOptions('libx264', 2, '/tmp/log'), ['-pass', '2', '-passlogfile', '/tmp/log']);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkerPool } = require('../lib/worker-pool');
+
+// Task that runs until `finish()` is called, recording when it starts
+const gatedTask = (started, name) => {
+    let finish;
+    const done = new Promise(resolve => {
+        finish = resolve;
+    });
+    return { finish, task: () => { started.push(name); return done.then(() => name); } };
+};
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('no more than `concurrency` tasks run at a time', async () => {
+    const pool = createWorkerPool({ name: 'test', concurrency: 2, maxQueue: 10 });
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => gatedTask(started, name));
+    const results = tasks.map(({ task }) => pool.run(task));
+
+    await tick();
+    assert.deepEqual(started, ['a', 'b']);
+    assert.deepEqual(pool.getStats(), { name: 'test', concurrency: 2, active: 2, queued: 1, maxQueue: 10, rejected: 0 });
+
+    tasks[0].finish();
+    await tick();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    tasks.forEach(({ finish }) => finish());
+    assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.equal(pool.getStats().active, 0);
+});
+
+test('waiting tasks start by priority, then in order, and hear their position', async () => {
+    const pool = createWorkerPool({ name: 'test', concurrency: 1, maxQueue: 10 });
+    const started = [];
+    const running = gatedTask(started, 'running');
+    pool.run(running.task);
+
+    const positions = {};
+    const queue = (name, priority) => pool.run(() => { started.push(name); }, {
+        priority,
+        onQueued: (position) => { positions[name] = position; }
+    });
+    const waiting = [queue('low', 'low'), queue('normal 1', 'normal'), queue('normal 2', 'normal'), queue('high', 'high')];
+    assert.deepEqual(positions, { high: 1, 'normal 1': 2, 'normal 2': 3, low: 4 });
+
+    running.finish();
+    await Promise.all(waiting);
+    assert.deepEqual(started, ['running', 'high', 'normal 1', 'normal 2', 'low']);
+});
+
+test('a full queue turns tasks away with 503', async () => {
+    const pool = createWorkerPool({ name: 'downloads', concurrency: 1, maxQueue: 1 });
+    const started = [];
+    const running = gatedTask(started, 'running');
+    pool.run(running.task);
+    const queued = pool.run(() => 'queued');
+
+    assert.equal(pool.isFull(), true);
+    await assert.rejects(pool.run(() => 'extra'), { statusCode: 503, message: /downloads queue is full/ });
+    assert.equal(pool.getStats().rejected, 1);
+
+    running.finish();
+    assert.equal(await queued, 'queued');
+    assert.equal(pool.isFull(), false);
+});
+
+test('aborting takes a waiting task out of the queue', async () => {
+    const pool = createWorkerPool({ name: 'test', concurrency: 1, maxQueue: 10 });
+    const started = [];
+    const running = gatedTask(started, 'running');
+    pool.run(running.task);
+
+    const controller = new AbortController();
+    const cancelled = pool.run(() => started.push('cancelled'), { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(cancelled, { cancelled: true });
+    assert.equal(pool.getStats().queued, 0);
+
+    running.finish();
+    await tick();
+    assert.deepEqual(started, ['running']);
+});
+
+test('acquire holds a worker until released', async () => {
+    const pool = createWorkerPool({ name: 'test', concurrency: 1, maxQueue: 10 });
+    const release = await pool.acquire();
+    let ran = false;
+    const waiting = pool.run(() => { ran = true; });
+
+    await tick();
+    assert.equal(ran, false);
+    release();
+    await waiting;
+    assert.equal(ran, true);
+});